@@ -1,572 +1,2231 @@
-class LaundryTracker {
-    constructor() {
+// The tracker itself: loads, machines, the queue, plans, profiles, notifications and sync.
+// It takes plain values and reports what changed through subscribe(); LaundryView (view.js)
+// turns that into the page, so the tracker also runs without one. Load state, stats, storage,
+// history, exports and sync merging live in their own modules. main.js starts both; tests
+// build their own with a fake clock and in-memory storage.
+import { DEFAULT_CONFIG, DEFAULT_MACHINES, DEFAULT_PROFILE, DEFAULT_SETTINGS, MACHINE_TYPES, NEW_MACHINE_DURATIONS } from './defaults.js';
+import * as LoadState from './load-state.js';
+import { buildCsv, buildICalendar } from './export-formats.js';
+import { capitalizeFirst, formatDateTime, formatTime } from './format.js';
+import { DEFAULT_HISTORY_FILTERS, filterLoads } from './history.js';
+import { HttpMailer, MockMailer } from './mailer.js';
+import * as Plans from './plans.js';
+import * as Queue from './queue.js';
+import * as SyncMerge from './sync-merge.js';
+import { SCHEMA_VERSION, StorageAdapter, getSchemaVersion, isQuotaError, migrateData } from './storage.js';
+import { RestSyncBackend } from './sync-backend.js';
+import { TimerScheduler, systemClock } from './timer-scheduler.js';
+
+const NOTIFICATION_NOTICE_KEY = 'laundryTrackerNotificationNotice';
+const OUTBOX_KEY = 'laundryTrackerOutbox';
+// Written by the old prompt-based "Notify me" button
+const LEGACY_NOTIFY_KEY = 'notificationRequests';
+const SYNC_POLL_MS = 15000;
+// A "finish by" time that would need the load to have started longer ago than this is rejected
+const START_TOLERANCE_MS = 60 * 1000;
+
+const NOTIFICATION_ICON = 'assets/ait-pune-logo.svg';
+const QUEUE_REFRESH_MS = 60000;
+// Claimed, expired and abandoned queue entries are only kept around this long
+const QUEUE_HISTORY_MS = 24 * 60 * 60 * 1000;
+
+const SUBSCRIPTION_EMAIL_DOMAIN = 'aitpune.edu.in';
+export const SUBSCRIPTION_EVENTS = {
+    'machine-freed': 'A machine is freed',
+    'queue-turn': 'It is someone\'s turn in the queue'
+};
+// Hostel settings never leave the device that changed them, so "a new hostel is added" could
+// only ever be sent to the person who added it. Saved subscriptions simply lose it.
+const RETIRED_SUBSCRIPTION_EVENTS = ['hostel-added'];
+
+// Re-check plans at least this often in case the machine slept through a timer
+const PLAN_CHECK_MAX_MS = 6 * 60 * 60 * 1000;
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const LOAD_SCOPES = ['mine', 'everyone'];
+
+const UNDO_TIMEOUT_MS = 6000;
+
+export class LaundryTracker {
+    // options.clock and options.storage replace the real clock and Web Storage, e.g. in tests
+    constructor(options = {}) {
+        this.clock = options.clock || systemClock;
+        this.storage = options.storage || new StorageAdapter();
         this.loads = [];
-        this.timers = new Map();
+        this.machines = DEFAULT_MACHINES.map(machine => ({ ...machine, outOfOrder: false }));
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.config = this.normalizeConfig(DEFAULT_CONFIG);
+        this.queue = [];
+        this.queueTimer = null;
+        this.subscriptions = [];
+        this.plans = [];
+        this.planTimer = null;
+        this.profiles = [{ ...DEFAULT_PROFILE }];
+        // Set this to any object with a send(message) method to deliver email another way
+        this.mailer = null;
+        this.mockMailer = new MockMailer(this.storage.local);
+        this.scheduler = new TimerScheduler(loadIds => this.handleTimerTick(loadIds), this.clock);
         this.notificationPermission = false;
-        
-        this.init();
+        this.swRegistration = null;
+        this.usingSessionFallback = false;
+        // Active loads other people in the sync hostel are running; never saved locally
+        this.remoteLoads = [];
+        this.loadFingerprints = new Map();
+        this.syncBackend = null;
+        this.syncCursor = 0;
+        this.syncTimer = null;
+        this.syncInFlight = false;
+        this.lastSyncAt = null;
+        this.syncOnline = false;
+        // Called with (type, detail) for 'change', 'notify' and 'tick'
+        this.listeners = [];
     }
 
-    init() {
+    // Subscribe any view first: start() sends the first full change
+    start() {
         this.loadData();
-        this.bindEvents();
+        this.importLegacyNotifyRequests();
+        if (!this.settings.clientId) {
+            this.settings.clientId = this.generateId();
+        }
+        this.changed('all');
         this.requestNotificationPermission();
-        this.updateDisplay();
         this.startTimerUpdates();
+        this.refreshQueue();
+        this.checkPlanReminders();
+        this.configureSync();
+    }
+
+    // Events
+    // Returns a function that unsubscribes again
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    emit(type, detail) {
+        this.listeners.forEach(listener => listener(type, detail));
+    }
+
+    // action: optional { label, handler, timeout, focus, loadIds } for a button on the message
+    notify(message, type = 'info', action = null, priority = type === 'error' ? 'assertive' : 'polite') {
+        this.emit('notify', { message, type, action, priority });
+    }
+
+    // part: 'all', 'loads', 'config', 'profiles', 'queue', 'plans', 'subscriptions' or 'sync'
+    changed(part = 'loads') {
+        this.emit('change', { part });
+    }
+
+    // The page is back in view: catch up on whatever the timers missed while it was hidden
+    resume() {
+        this.scheduler.flush();
+        this.checkPlanReminders();
+        this.syncNow();
     }
 
     // Data Management
     loadData() {
-        const saved = localStorage.getItem('laundryTracker');
-        if (saved) {
-            try {
-                const data = JSON.parse(saved);
-                this.loads = data.loads || [];
-                // Convert string dates back to Date objects
-                this.loads.forEach(load => {
-                    load.startTime = new Date(load.startTime);
-                    if (load.endTime) load.endTime = new Date(load.endTime);
-                    if (load.pausedAt) load.pausedAt = new Date(load.pausedAt);
-                });
-            } catch (error) {
-                console.error('Error loading data:', error);
-                this.loads = [];
-            }
+        const saved = this.storage.read();
+        if (!saved) return;
+
+        let data;
+        try {
+            data = JSON.parse(saved);
+        } catch (error) {
+            console.error('Error loading data:', error);
+            this.storage.quarantine([{ record: saved, reason: 'Unreadable storage blob' }], this.now());
+            this.notify('Saved data was unreadable and has been quarantined', 'error');
+            return;
+        }
+
+        const storedVersion = getSchemaVersion(data.schemaVersion);
+        if (storedVersion > SCHEMA_VERSION) {
+            console.warn(`Stored data uses schema v${storedVersion}, this app supports v${SCHEMA_VERSION}`);
+        }
+
+        data = migrateData(data, storedVersion);
+
+        const { valid, rejected } = LoadState.partitionLoadRecords(data.loads);
+        this.loads = valid.map(load => LoadState.reviveLoadDates(load));
+        this.loads.forEach(load => this.rememberLoad(load));
+
+        if (Array.isArray(data.machines)) {
+            this.machines = data.machines.filter(machine => this.isValidMachineRecord(machine));
+        }
+
+        if (data.settings && typeof data.settings === 'object') {
+            this.settings = { ...DEFAULT_SETTINGS, ...data.settings };
+        }
+
+        if (data.config && typeof data.config === 'object') {
+            this.config = this.normalizeConfig(data.config);
+        }
+
+        if (Array.isArray(data.profiles)) {
+            const profiles = data.profiles.filter(profile => this.isValidProfile(profile));
+            this.profiles = profiles.length > 0 ? profiles : [{ ...DEFAULT_PROFILE }];
+        }
+        if (!this.profiles.some(profile => profile.id === this.settings.activeProfileId)) {
+            this.settings.activeProfileId = this.profiles[0].id;
+        }
+        if (!LOAD_SCOPES.includes(this.settings.activeLoadScope)) {
+            this.settings.activeLoadScope = DEFAULT_SETTINGS.activeLoadScope;
+        }
+
+        if (Array.isArray(data.plans)) {
+            this.plans = data.plans
+                .filter(plan => Plans.isValidPlan(plan))
+                .map(plan => Plans.revivePlanDates(plan));
+        }
+
+        if (Array.isArray(data.subscriptions)) {
+            this.subscriptions = data.subscriptions
+                .map(subscription => subscription && Array.isArray(subscription.events)
+                    ? { ...subscription, events: subscription.events.filter(event => !RETIRED_SUBSCRIPTION_EVENTS.includes(event)) }
+                    : subscription)
+                .filter(subscription => this.isValidSubscription(subscription))
+                .map(subscription => ({ ...subscription, createdAt: new Date(subscription.createdAt) }));
+        }
+
+        if (Array.isArray(data.queue)) {
+            const cutoff = this.now() - QUEUE_HISTORY_MS;
+            this.queue = data.queue
+                .filter(entry => Queue.isValidQueueEntry(entry))
+                .map(entry => Queue.reviveQueueEntry(entry))
+                .filter(entry => Queue.isQueueEntryActive(entry) || entry.updatedAt.getTime() > cutoff);
+        }
+
+        if (rejected.length > 0) {
+            this.storage.quarantine(rejected, this.now());
+            this.notify(`${rejected.length} damaged load record(s) moved to quarantine`, 'error');
+        }
+
+        if (storedVersion < SCHEMA_VERSION || rejected.length > 0) {
+            this.saveData();
         }
     }
 
     saveData() {
+        this.trackLoadChanges();
+
+        const data = JSON.stringify({
+            schemaVersion: SCHEMA_VERSION,
+            loads: this.loads,
+            machines: this.machines,
+            settings: this.settings,
+            config: this.config,
+            queue: this.queue,
+            subscriptions: this.subscriptions,
+            plans: this.plans,
+            profiles: this.profiles,
+            lastSaved: new Date(this.now())
+        });
+
+        let savedTo;
         try {
-            const data = {
-                loads: this.loads,
-                lastSaved: new Date()
-            };
-            localStorage.setItem('laundryTracker', JSON.stringify(data));
+            savedTo = this.storage.write(data);
         } catch (error) {
             console.error('Error saving data:', error);
-            this.showNotification('Error saving data', 'error');
+            this.notify(isQuotaError(error) ? 'Error saving data: storage is full' : 'Error saving data', 'error');
+            return;
         }
-    }
 
-    // Event Binding
-    bindEvents() {
-        // Form submission
-        document.getElementById('add-load-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addLoad();
-        });
+        if (savedTo === 'local') {
+            this.usingSessionFallback = false;
+        } else if (!this.usingSessionFallback) {
+            this.usingSessionFallback = true;
+            this.notify('Storage is full: changes are kept for this session only. Export your data to keep it.', 'error');
+        }
+    }
 
-        // History actions
-        document.getElementById('clear-history-btn').addEventListener('click', () => {
-            this.clearHistory();
-        });
+    // Load Management
+    // fields: { type, location, machineId, category, duration, dryDuration, notes, startMode, startAt },
+    // as the add-load form gives them. fields.planId links the load to the plan it was started from,
+    // fields.ownerId files it under another profile than the current one. Returns the load, or null
+    // (after saying why) if it cannot go in.
+    addLoad(fields) {
+        const fieldsError = LoadState.getLoadFieldsError(fields);
+        if (fieldsError) {
+            this.notify(fieldsError, 'error');
+            return null;
+        }
 
-        document.getElementById('export-data-btn').addEventListener('click', () => {
-            this.exportData();
-        });
+        const machineId = fields.machineId || null;
+        const machineError = this.getMachineUnavailableReason(machineId, fields.location);
+        if (machineError) {
+            this.notify(machineError, 'error');
+            return null;
+        }
 
-        // Notify me button
-        document.getElementById('notify-me-btn').addEventListener('click', () => {
-            this.handleNotifyMe();
-        });
+        const type = fields.type;
+        const reservationError = this.getReservationConflict(fields.location, this.getMachineTypeForLoad(type));
+        if (reservationError) {
+            this.notify(reservationError, 'error');
+            return null;
+        }
 
-        // Load actions delegation
-        document.addEventListener('click', (e) => {
-            const target = e.target;
-            const loadItem = target.closest('.load-item');
-            
-            if (!loadItem) return;
-            
-            const loadId = loadItem.dataset.loadId;
-            const load = this.loads.find(l => l.id === loadId);
-            
-            if (!load) return;
-
-            if (target.classList.contains('complete-btn')) {
-                this.completeLoad(loadId);
-            } else if (target.classList.contains('pause-btn')) {
-                this.togglePauseLoad(loadId);
-            } else if (target.classList.contains('cancel-btn')) {
-                this.cancelLoad(loadId);
-            }
-        });
-    }
+        const startTime = this.getRequestedStartTime(fields);
+        if (!startTime) return null;
 
-    // Load Management
-    addLoad() {
-        const form = document.getElementById('add-load-form');
-        const formData = new FormData(form);
-        
         const load = {
             id: this.generateId(),
-            type: document.getElementById('load-type').value,
-            location: document.getElementById('load-location').value,
-            category: document.getElementById('load-category').value,
-            duration: parseInt(document.getElementById('duration').value),
-            notes: document.getElementById('load-notes').value.trim(),
-            status: 'running',
-            startTime: new Date(),
+            type: type,
+            location: fields.location,
+            machineId: machineId,
+            category: fields.category,
+            duration: fields.duration,
+            notes: (fields.notes || '').trim(),
+            status: startTime > new Date(this.now()) ? 'scheduled' : 'running',
+            ownerId: fields.ownerId || this.settings.activeProfileId,
+            startTime: startTime,
             endTime: null,
             pausedTime: 0,
             pausedAt: null
         };
+        if (fields.planId) {
+            load.planId = fields.planId;
+        }
+
+        if (type === 'both') {
+            load.stages = [
+                LoadState.createStage('wash', load.duration, machineId, startTime),
+                LoadState.createStage('dry', fields.dryDuration, null, null)
+            ];
+            load.stageIndex = 0;
+            load.duration += fields.dryDuration;
+        }
 
         this.loads.unshift(load);
+        this.claimQueueEntry(load);
         this.saveData();
-        this.updateDisplay();
+        this.changed();
         this.startTimer(load.id);
+        // A load started ahead of a plan's time keeps that plan's reminder from going off
+        this.schedulePlanAlerts();
         
-        form.reset();
-        document.getElementById('duration').value = 30; // Reset to default
-        
-        this.showNotification(`Started ${load.type} load at ${this.getLocationName(load.location)} - ${load.category}`, 'success');
-    }
-
-    completeLoad(loadId) {
-        const load = this.loads.find(l => l.id === loadId);
-        if (!load) return;
+        if (load.status === 'scheduled') {
+            this.notify(`Scheduled ${load.type} load at ${this.getLocationName(load.location)} to start ${formatDateTime(load.startTime)}`, 'success');
+        } else {
+            this.notify(`Started ${load.type} load at ${this.getLocationName(load.location)} - ${this.getCategoryName(load.category)}`, 'success');
+        }
 
-        load.status = 'completed';
-        load.endTime = new Date();
-        
-        this.stopTimer(loadId);
-        this.saveData();
-        this.updateDisplay();
-        
-        this.showNotification(`${load.type} load completed at ${this.getLocationName(load.location)}!`, 'success');
-        this.showBrowserNotification('Laundry Complete!', `Your ${load.category} ${load.type} load at ${this.getLocationName(load.location)} is done.`);
+        return load;
     }
 
-    togglePauseLoad(loadId) {
-        const load = this.loads.find(l => l.id === loadId);
-        if (!load || load.status !== 'running' && load.status !== 'paused') return;
+    // When a load should start, from fields.startMode ('now', 'delay' or 'finish-by') and fields.startAt,
+    // or null (after telling the user) if that cannot work
+    getRequestedStartTime(fields) {
+        const mode = fields.startMode || 'now';
+        if (mode === 'now') return new Date(this.now());
 
-        if (load.status === 'running') {
-            load.status = 'paused';
-            load.pausedAt = new Date();
-            this.stopTimer(loadId);
-            this.showNotification(`${load.type} load paused`, 'info');
-        } else {
-            load.status = 'running';
-            if (load.pausedAt) {
-                load.pausedTime += Date.now() - load.pausedAt.getTime();
-                load.pausedAt = null;
-            }
-            this.startTimer(loadId);
-            this.showNotification(`${load.type} load resumed`, 'info');
+        const chosen = new Date(fields.startAt);
+        if (isNaN(chosen.getTime())) {
+            this.notify(mode === 'finish-by' ? 'Please choose when the load should be done' : 'Please choose when the load should start', 'error');
+            return null;
+        }
+        if (mode === 'delay') {
+            return chosen > new Date(this.now()) ? chosen : new Date(this.now());
         }
 
-        this.saveData();
-        this.updateDisplay();
+        // Work back from the finish time over every stage of the cycle
+        let minutes = fields.duration;
+        if (fields.type === 'both') {
+            minutes += fields.dryDuration;
+        }
+        const start = new Date(chosen.getTime() - minutes * 60 * 1000);
+        if (start.getTime() < this.now() - START_TOLERANCE_MS) {
+            this.notify(`Too late to finish by ${formatDateTime(chosen)} - this load takes ${minutes} min`, 'error');
+            return null;
+        }
+        return start > new Date(this.now()) ? start : new Date(this.now());
     }
 
-    cancelLoad(loadId) {
-        const load = this.loads.find(l => l.id === loadId);
-        if (!load) return;
-
-        if (confirm('Are you sure you want to cancel this load?')) {
-            load.status = 'cancelled';
-            load.endTime = new Date();
-            
-            this.stopTimer(loadId);
-            this.saveData();
-            this.updateDisplay();
-            
-            this.showNotification(`${load.type} load cancelled`, 'info');
-        }
+    // Machine Registry
+    getMachine(machineId) {
+        return this.machines.find(machine => machine.id === machineId) || null;
     }
 
-    // Timer Management
-    startTimer(loadId) {
-        const load = this.loads.find(l => l.id === loadId);
-        if (!load) return;
+    getMachinesForLocation(location) {
+        return this.machines.filter(machine => machine.location === location);
+    }
 
-        const timer = setInterval(() => {
-            const elapsed = this.getElapsedTime(load);
-            const remaining = (load.duration * 60 * 1000) - elapsed;
+    getMachineTypeForLoad(loadType) {
+        // A wash & dry load starts on a washer
+        return loadType === 'drying' ? 'dryer' : 'washer';
+    }
 
-            if (remaining <= 0) {
-                this.completeLoad(loadId);
-                return;
-            }
+    getMachineLoad(machineId) {
+        // Loads other people in the hostel are running occupy machines too
+        return [...this.loads, ...this.getLiveRemoteLoads()].find(load => load.machineId === machineId && LoadState.isActiveLoad(load)) || null;
+    }
 
-            this.updateLoadTimer(loadId, remaining);
-        }, 1000);
+    getMachineUnavailableReason(machineId, location) {
+        if (!machineId) {
+            return this.getMachinesForLocation(location).length > 0 ? 'Please choose a machine' : null;
+        }
 
-        this.timers.set(loadId, timer);
+        const machine = this.getMachine(machineId);
+        if (!machine || machine.location !== location) {
+            return 'Please choose a machine in the selected hostel';
+        }
+        if (machine.outOfOrder) {
+            return `${machine.name} is out of order`;
+        }
+        if (!this.isMachineFree(machine)) {
+            return `${machine.name} at ${this.getLocationName(machine.location)} is already in use`;
+        }
+        return null;
     }
 
-    stopTimer(loadId) {
-        const timer = this.timers.get(loadId);
-        if (timer) {
-            clearInterval(timer);
-            this.timers.delete(loadId);
-        }
+    getMachineState(machine) {
+        if (machine.outOfOrder) return 'out of order';
+        return this.getMachineLoad(machine.id) ? 'busy' : 'free';
     }
 
-    startTimerUpdates() {
-        // Update all active timers every second
-        setInterval(() => {
-            this.loads
-                .filter(load => load.status === 'running')
-                .forEach(load => {
-                    const elapsed = this.getElapsedTime(load);
-                    const remaining = (load.duration * 60 * 1000) - elapsed;
-                    
-                    if (remaining <= 0) {
-                        this.completeLoad(load.id);
-                    } else {
-                        this.updateLoadTimer(load.id, remaining);
-                    }
-                });
-        }, 1000);
+    // The one test of whether a load can go in: the add-load form, transfers and the queue all use it.
+    // Clothes waiting for pickup or for the dryer still fill the machine, so it is not free yet.
+    isMachineFree(machine) {
+        return this.getMachineState(machine) === 'free';
     }
 
-    getElapsedTime(load) {
-        const now = Date.now();
-        const startTime = load.startTime.getTime();
-        let elapsed = now - startTime - load.pausedTime;
+    toggleMachineOutOfOrder(machineId) {
+        const machine = this.getMachine(machineId);
+        if (!machine) return;
 
-        if (load.status === 'paused' && load.pausedAt) {
-            elapsed -= (now - load.pausedAt.getTime());
+        machine.outOfOrder = !machine.outOfOrder;
+        machine.updatedAt = new Date(this.now());
+        if (machine.location === this.settings.syncHostel) {
+            this.queueSyncChange('machine', machine);
+        }
+        if (!machine.outOfOrder) {
+            this.notifyMachineFreed(machine.id);
         }
+        this.advanceQueue(machine.location);
+        this.saveData();
+        this.changed();
 
-        return Math.max(0, elapsed);
+        const status = machine.outOfOrder ? 'marked out of order' : 'back in service';
+        this.notify(`${machine.name} at ${this.getLocationName(machine.location)} ${status}`, 'info');
     }
 
-    updateLoadTimer(loadId, remainingMs) {
-        const loadElement = document.querySelector(`[data-load-id="${loadId}"]`);
-        if (!loadElement) return;
+    // Machine Queue
+    isOwnQueueEntry(entry) {
+        return entry.clientId === this.settings.clientId;
+    }
 
-        const timeDisplay = loadElement.querySelector('.time-remaining');
-        const progressFill = loadElement.querySelector('.progress-fill');
-        const load = this.loads.find(l => l.id === loadId);
+    setQueueGraceMinutes(minutes) {
+        this.settings.queueGraceMinutes = minutes;
+        this.saveData();
+        this.refreshQueue();
+    }
 
-        if (timeDisplay && load) {
-            timeDisplay.textContent = this.formatTime(remainingMs);
-            
-            // Update progress bar
-            if (progressFill) {
-                const totalMs = load.duration * 60 * 1000;
-                const progress = ((totalMs - remainingMs) / totalMs) * 100;
-                progressFill.style.width = `${Math.min(100, Math.max(0, progress))}%`;
-            }
-        }
+    getReservationExpiry(entry) {
+        return entry.notifiedAt.getTime() + this.settings.queueGraceMinutes * 60 * 1000;
+    }
+
+    // Milliseconds until each working machine is free, by the same rule as isMachineFree: clothes
+    // that are done but not collected keep it busy for as long as nobody knows (freeIn null)
+    getMachineFreeTimes(location, machineType) {
+        return this.getMachinesForLocation(location)
+            .filter(machine => !machine.outOfOrder && Queue.queueMatchesType(machineType, machine.type))
+            .map(machine => {
+                const load = this.getMachineLoad(machine.id);
+                let freeIn = 0;
+                if (load && (load.status === 'awaiting-pickup' || load.status === 'transfer')) {
+                    freeIn = null;
+                } else if (load) {
+                    freeIn = Math.max(0, LoadState.getRemainingTime(load, this.now()));
+                }
+                return { machine: machine, freeIn: freeIn };
+            });
     }
 
-    // Display Updates
-    updateDisplay() {
-        this.updateStats();
-        this.renderActiveLoads();
-        this.renderHistory();
+    estimateQueueWait(entry) {
+        const slots = this.getMachineFreeTimes(entry.location, entry.machineType);
+        return Queue.estimateQueueWait(entry, Queue.getQueueLine(this.queue, entry), slots);
     }
 
-    updateStats() {
-        const activeLoads = this.loads.filter(load => load.status === 'running' || load.status === 'paused');
-        const todayLoads = this.loads.filter(load => this.isToday(load.startTime));
-        const completedLoads = this.loads.filter(load => load.status === 'completed');
-        
-        // Update header stats
-        document.getElementById('active-count').textContent = activeLoads.length;
-        document.getElementById('today-count').textContent = todayLoads.length;
-        
-        // Update statistics section
-        document.getElementById('total-loads').textContent = this.loads.length;
-        
-        // Average duration for completed loads
-        if (completedLoads.length > 0) {
-            const avgDuration = completedLoads.reduce((sum, load) => sum + load.duration, 0) / completedLoads.length;
-            document.getElementById('avg-duration').textContent = Math.round(avgDuration) + 'm';
-        } else {
-            document.getElementById('avg-duration').textContent = '0m';
+    // name is who the place is kept for; without one it goes under the sync name
+    joinQueue({ location, machineType, name }) {
+        name = (name || '').trim() || this.settings.syncName || 'Someone';
+        if (!location) {
+            this.notify('Please choose a hostel to queue for', 'error');
+            return;
         }
-        
-        // This week's loads
-        const thisWeekLoads = this.loads.filter(load => this.isThisWeek(load.startTime));
-        document.getElementById('this-week').textContent = thisWeekLoads.length;
-        
-        // Most common category
-        const categories = this.loads.map(load => load.category);
-        const mostCommon = this.getMostCommon(categories);
-        document.getElementById('most-common').textContent = mostCommon || '-';
-    }
 
-    renderActiveLoads() {
-        const container = document.getElementById('active-loads-container');
-        const emptyState = document.getElementById('no-active-loads');
-        const activeLoads = this.loads.filter(load => load.status === 'running' || load.status === 'paused');
-        
-        if (activeLoads.length === 0) {
-            emptyState.style.display = 'block';
-            // Remove all load items
-            container.querySelectorAll('.load-item').forEach(item => item.remove());
-        } else {
-            emptyState.style.display = 'none';
-            this.renderLoads(container, activeLoads);
+        const alreadyQueued = Queue.getActiveQueue(this.queue, location)
+            .some(entry => this.isOwnQueueEntry(entry) && entry.machineType === machineType && entry.name === name);
+        if (alreadyQueued) {
+            this.notify(`${name} is already in this queue`, 'error');
+            return;
         }
-    }
 
-    renderHistory() {
-        const container = document.getElementById('history-container');
-        const emptyState = document.getElementById('no-history');
-        const historyLoads = this.loads
-            .filter(load => load.status === 'completed' || load.status === 'cancelled')
-            .slice(0, 10); // Show last 10 completed loads
-        
-        if (historyLoads.length === 0) {
-            emptyState.style.display = 'block';
-            container.querySelectorAll('.load-item').forEach(item => item.remove());
-        } else {
-            emptyState.style.display = 'none';
-            this.renderLoads(container, historyLoads);
+        const now = new Date(this.now());
+        const entry = {
+            id: this.generateId(),
+            location: location,
+            machineType: machineType,
+            name: name,
+            clientId: this.settings.clientId,
+            status: 'waiting',
+            joinedAt: now,
+            notifiedAt: null,
+            updatedAt: now
+        };
+        this.queue.push(entry);
+        // Only the sync hostel's line is shared; queues elsewhere stay on this device
+        if (entry.location === this.settings.syncHostel) {
+            this.queueSyncChange('queue', entry);
+        }
+        this.advanceQueue(location);
+        this.saveData();
+        this.changed();
+
+        if (entry.status === 'waiting') {
+            const wait = this.estimateQueueWait(entry);
+            const estimate = wait === null ? '' : `, about ${Math.ceil(wait / 60000)} min wait`;
+            this.notify(`Joined the queue at ${this.getLocationName(location)}: #${Queue.getQueueLine(this.queue, entry).indexOf(entry) + 1}${estimate}`, 'success');
         }
     }
 
-    renderLoads(container, loads) {
-        // Clear existing load items
-        container.querySelectorAll('.load-item').forEach(item => item.remove());
-        
-        loads.forEach(load => {
-            const loadElement = this.createLoadElement(load);
-            container.appendChild(loadElement);
-        });
+    leaveQueue(entryId) {
+        const entry = this.queue.find(item => item.id === entryId);
+        if (!entry || !this.isOwnQueueEntry(entry) || !Queue.isQueueEntryActive(entry)) return;
+
+        this.setQueueStatus(entry, 'left');
+        this.advanceQueue(entry.location);
+        this.saveData();
+        this.changed();
+        this.notify(`${entry.name} left the queue at ${this.getLocationName(entry.location)}`, 'info');
     }
 
-    createLoadElement(load) {
-        const template = document.getElementById('load-item-template');
-        const element = template.content.cloneNode(true);
-        const loadItem = element.querySelector('.load-item');
-        
-        loadItem.dataset.loadId = load.id;
-        
-        // Fill in load information
-        element.querySelector('.load-type').textContent = this.capitalizeFirst(load.type);
-        element.querySelector('.load-category').textContent = this.capitalizeFirst(load.category);
-        element.querySelector('.load-location').textContent = this.getLocationName(load.location);
-        element.querySelector('.load-time').textContent = this.formatDateTime(load.startTime);
-        element.querySelector('.load-duration').textContent = `${load.duration}min`;
-        
-        // Notes
-        const notesElement = element.querySelector('.load-notes');
-        if (load.notes) {
-            notesElement.textContent = load.notes;
-        }
-        
-        // Status and timer
-        const statusBadge = element.querySelector('.status-badge');
-        const timeRemaining = element.querySelector('.time-remaining');
-        const progressFill = element.querySelector('.progress-fill');
-        
-        statusBadge.textContent = load.status;
-        statusBadge.className = `status-badge ${load.status}`;
-        
-        if (load.status === 'running' || load.status === 'paused') {
-            const elapsed = this.getElapsedTime(load);
-            const remaining = (load.duration * 60 * 1000) - elapsed;
-            
-            if (remaining > 0) {
-                timeRemaining.textContent = this.formatTime(remaining);
-                const progress = (elapsed / (load.duration * 60 * 1000)) * 100;
-                progressFill.style.width = `${Math.min(100, Math.max(0, progress))}%`;
-            } else {
-                timeRemaining.textContent = '00:00';
-                progressFill.style.width = '100%';
-            }
-        } else {
-            // Completed or cancelled loads
-            if (load.endTime) {
-                const actualDuration = load.endTime.getTime() - load.startTime.getTime() - load.pausedTime;
-                timeRemaining.textContent = this.formatTime(actualDuration);
-            }
-            progressFill.style.width = '100%';
+    setQueueStatus(entry, status) {
+        entry.status = status;
+        entry.updatedAt = new Date(this.now());
+        if (status === 'notified') {
+            entry.notifiedAt = entry.updatedAt;
         }
-        
-        // Action buttons
-        const actions = element.querySelector('.load-actions');
-        if (load.status === 'completed' || load.status === 'cancelled') {
-            actions.style.display = 'none';
-        } else {
-            // Update pause button text
-            const pauseBtn = element.querySelector('.pause-btn');
-            if (load.status === 'paused') {
-                pauseBtn.innerHTML = '<i class="fas fa-play"></i> Resume';
-            }
+        if (entry.location === this.settings.syncHostel) {
+            this.queueSyncChange('queue', entry);
         }
-        
-        return element;
     }
 
-    // Utility Functions
-    generateId() {
-        return Date.now().toString() + Math.random().toString(36).substr(2, 9);
-    }
+    // Hand each free machine to the next person in line for it
+    advanceQueue(location) {
+        const spare = {};
+        MACHINE_TYPES.forEach(type => {
+            spare[type] = this.getMachinesForLocation(location)
+                .filter(machine => machine.type === type && this.isMachineFree(machine))
+                .length;
+        });
+
+        const takeSpare = machineType => {
+            const type = MACHINE_TYPES.find(candidate => Queue.queueMatchesType(machineType, candidate) && spare[candidate] > 0);
+            if (!type) return false;
+            spare[type]--;
+            return true;
+        };
+
+        const line = Queue.getActiveQueue(this.queue, location);
+        line.filter(entry => entry.status === 'notified').forEach(entry => takeSpare(entry.machineType));
+        const nextUp = line.filter(entry => entry.status === 'waiting' && takeSpare(entry.machineType));
 
-    capitalizeFirst(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+        nextUp.forEach(entry => {
+            this.setQueueStatus(entry, 'notified');
+            this.announceReservation(entry);
+        });
+        this.scheduleQueueTimer();
+        return nextUp.length > 0;
     }
 
-    formatTime(ms) {
-        const totalSeconds = Math.floor(ms / 1000);
-        const minutes = Math.floor(totalSeconds / 60);
-        const seconds = totalSeconds % 60;
-        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    announceReservation(entry) {
+        const machine = entry.machineType || 'machine';
+        const hostel = this.getLocationName(entry.location);
+        this.notifySubscribers('queue-turn', entry.location, `${entry.name}'s turn at ${hostel}`,
+            `A ${machine} at ${hostel} is being held for ${entry.name} for ${this.settings.queueGraceMinutes} minutes.`);
+
+        if (!this.isOwnQueueEntry(entry)) return;
+
+        const title = `Your turn at ${hostel}`;
+        const body = `A ${machine} is free for ${entry.name}. Start your load within ${this.settings.queueGraceMinutes} min to keep your place.`;
+        this.notify(body, 'info');
+        this.showBrowserNotification(title, body);
     }
 
-    formatDateTime(date) {
-        return new Intl.DateTimeFormat('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        }).format(date);
+    // Clothes that are done still fill the machine until they are collected, so the next person in
+    // line only hears that their turn is close; advanceQueue hands the machine over once it is empty
+    announceFinishedLoad(load) {
+        const machine = this.getMachine(load.machineId);
+        if (!machine || machine.outOfOrder) return;
+
+        // Other machines already waiting on a pickup go to the people ahead
+        const ahead = this.getMachineFreeTimes(load.location, machine.type)
+            .filter(slot => slot.freeIn === null && slot.machine !== machine).length;
+        const next = Queue.getActiveQueue(this.queue, load.location)
+            .filter(entry => entry.status === 'waiting' && Queue.queueMatchesType(entry.machineType, machine.type))[ahead];
+        if (!next || !this.isOwnQueueEntry(next)) return;
+
+        const hostel = this.getLocationName(load.location);
+        const body = `${machine.name} at ${hostel} has finished. It is ${next.name}'s turn once the clothes in it are collected.`;
+        this.notify(body, 'info');
+        this.showBrowserNotification(`Almost your turn at ${hostel}`, body);
     }
 
-    isToday(date) {
-        const today = new Date();
-        return date.toDateString() === today.toDateString();
+    // Starting a load at the hostel uses up our own place in its queue
+    claimQueueEntry(load) {
+        const machineType = this.getMachineTypeForLoad(load.type);
+        const entry = Queue.getActiveQueue(this.queue, load.location)
+            .filter(item => this.isOwnQueueEntry(item) && Queue.queueMatchesType(item.machineType, machineType))
+            .sort((a, b) => (b.status === 'notified') - (a.status === 'notified'))[0];
+
+        if (entry) {
+            this.setQueueStatus(entry, 'claimed');
+            this.scheduleQueueTimer();
+        }
     }
 
-    isThisWeek(date) {
-        const now = new Date();
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        return date >= weekAgo;
+    getReservationConflict(location, machineType) {
+        this.expireReservations();
+
+        const held = Queue.getActiveQueue(this.queue, location).filter(entry => entry.status === 'notified' &&
+            !this.isOwnQueueEntry(entry) && Queue.queueMatchesType(entry.machineType, machineType));
+        if (held.length === 0) return null;
+
+        const free = this.getMachinesForLocation(location)
+            .filter(machine => machine.type === machineType && this.isMachineFree(machine)).length;
+        if (free > held.length) return null;
+
+        const until = new Date(Math.max(...held.map(entry => this.getReservationExpiry(entry))));
+        return `Free ${machineType}s are held for ${held.map(entry => entry.name).join(', ')} until ${formatDateTime(until)}`;
     }
 
-    getMostCommon(arr) {
-        if (arr.length === 0) return null;
-        
-        const frequency = {};
-        arr.forEach(item => {
-            frequency[item] = (frequency[item] || 0) + 1;
-        });
-        
-        let maxCount = 0;
-        let mostCommon = null;
-        
-        for (const [item, count] of Object.entries(frequency)) {
-            if (count > maxCount) {
-                maxCount = count;
-                mostCommon = item;
+    expireReservations() {
+        const now = this.now();
+        const expired = this.queue.filter(entry => entry.status === 'notified' && this.getReservationExpiry(entry) <= now);
+
+        expired.forEach(entry => {
+            this.setQueueStatus(entry, 'expired');
+            if (this.isOwnQueueEntry(entry)) {
+                this.notify(`${entry.name}'s turn at ${this.getLocationName(entry.location)} has passed`, 'error');
             }
+        });
+        [...new Set(expired.map(entry => entry.location))].forEach(location => this.advanceQueue(location));
+        return expired.length > 0;
+    }
+
+    // Wake up for the next reservation to expire, or every minute to keep wait estimates fresh
+    scheduleQueueTimer() {
+        this.clock.clearTimer(this.queueTimer);
+        this.queueTimer = null;
+
+        const active = this.queue.filter(entry => Queue.isQueueEntryActive(entry));
+        if (active.length === 0) return;
+
+        const expiries = active
+            .filter(entry => entry.status === 'notified')
+            .map(entry => this.getReservationExpiry(entry) - this.now());
+        const delay = Math.max(0, Math.min(QUEUE_REFRESH_MS, ...expiries));
+        this.queueTimer = this.clock.setTimer(() => this.refreshQueue(), delay);
+    }
+
+    refreshQueue() {
+        if (this.expireReservations()) {
+            this.saveData();
+            this.changed();
+        } else {
+            this.changed('queue');
         }
-        
-        return this.capitalizeFirst(mostCommon);
+        this.scheduleQueueTimer();
     }
 
-    getLocationName(locationCode) {
-        const locations = {
-            'ramanujan': 'Ramanujan Hostel',
-            'apj': 'APJ Hostel',
-            'vishveswariya': 'Vishveswariya Hostel'
+    // Laundry Plans
+    // fields: { name, type, location, category, duration, dryDuration, weekday, time }; returns the
+    // plan, or null (after saying why) if the fields do not make one
+    addPlan(fields) {
+        // A wash & dry plan left without a drying time gets the dryers' usual one
+        fields = { ...fields, dryDuration: fields.dryDuration || NEW_MACHINE_DURATIONS.dryer };
+        const error = Plans.getPlanFieldsError(fields);
+        if (error) {
+            this.notify(error, 'error');
+            return null;
+        }
+
+        const plan = {
+            id: this.generateId(),
+            name: (fields.name || '').trim() || `${this.getCategoryName(fields.category)} ${Plans.WEEKDAYS[fields.weekday]}`,
+            type: fields.type,
+            location: fields.location,
+            category: fields.category,
+            duration: fields.duration,
+            weekday: fields.weekday,
+            time: fields.time,
+            ownerId: this.settings.activeProfileId,
+            createdAt: new Date(this.now()),
+            remindedAt: null
         };
-        return locations[locationCode] || locationCode;
+        if (fields.type === 'both') {
+            plan.dryDuration = fields.dryDuration;
+        }
+
+        this.plans.push(plan);
+        this.saveData();
+        this.changed('plans');
+        this.schedulePlanTimer();
+
+        this.notify(`Plan added: ${plan.name}, ${this.describePlanTime(plan)}`, 'success');
+        return plan;
     }
 
-    // Notifications
-    async requestNotificationPermission() {
-        if ('Notification' in window) {
-            const permission = await Notification.requestPermission();
-            this.notificationPermission = permission === 'granted';
-        }
+    deletePlan(planId) {
+        const plan = this.plans.find(item => item.id === planId);
+        if (!plan) return;
+
+        this.plans = this.plans.filter(item => item !== plan);
+        this.saveData();
+        this.changed('plans');
+        this.schedulePlanTimer();
+        this.postToServiceWorker({ type: 'CANCEL_ALERT', planId: plan.id });
+        this.notify(`Plan deleted: ${plan.name}`, 'info');
     }
 
-    showBrowserNotification(title, body) {
-        if (this.notificationPermission && 'Notification' in window) {
-            new Notification(title, {
-                body: body,
-                icon: '/favicon.ico', // Add your icon
-                tag: 'laundry-tracker'
+    // Goes through addLoad on the first free machine, so a planned load gets the same checks as any other.
+    // With every machine busy it offers a place in the queue instead.
+    startPlan(planId) {
+        const plan = this.plans.find(item => item.id === planId);
+        if (!plan) return null;
+
+        const isInUse = (entries, id) => entries.some(entry => entry.id === id && !entry.archived);
+        if (!isInUse(this.config.hostels, plan.location) || !isInUse(this.config.categories, plan.category)) {
+            this.notify(`${plan.name} uses an archived hostel or category`, 'error');
+            return null;
+        }
+
+        const machineType = this.getMachineTypeForLoad(plan.type);
+        const machines = this.getMachinesForLocation(plan.location).filter(machine => machine.type === machineType);
+        const freeMachine = machines.find(machine => this.isMachineFree(machine));
+        if (machines.length > 0 && !freeMachine) {
+            this.notify(`No free ${machineType} at ${this.getLocationName(plan.location)} right now`, 'error', {
+                label: 'Join queue',
+                handler: () => this.joinQueue({ location: plan.location, machineType: machineType })
             });
+            return null;
         }
+
+        return this.addLoad({
+            type: plan.type,
+            location: plan.location,
+            machineId: freeMachine ? freeMachine.id : null,
+            category: plan.category,
+            duration: plan.duration,
+            dryDuration: plan.dryDuration,
+            notes: '',
+            startMode: 'now',
+            planId: plan.id,
+            ownerId: plan.ownerId
+        });
     }
 
-    showNotification(message, type = 'info') {
-        const container = document.getElementById('notifications-container');
-        const notification = document.createElement('div');
-        
-        notification.className = `notification ${type}`;
-        
-        const icons = {
-            success: 'fas fa-check-circle',
-            error: 'fas fa-exclamation-circle',
-            info: 'fas fa-info-circle'
-        };
-        
-        notification.innerHTML = `
-            <i class="${icons[type]}"></i>
-            <span>${message}</span>
-        `;
-        
-        container.appendChild(notification);
-        
-        // Remove notification after 4 seconds
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 4000);
+    describePlanTime(plan) {
+        return `${Plans.WEEKDAYS[plan.weekday]}s at ${plan.time}`;
     }
 
-    // Data Management
-    clearHistory() {
-        if (confirm('Are you sure you want to clear all completed loads from history?')) {
-            this.loads = this.loads.filter(load => load.status === 'running' || load.status === 'paused');
+    getMissedPlanOccurrences(filters) {
+        const now = new Date(this.now());
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : new Date(0);
+        const to = filters.to ? new Date(Math.min(new Date(`${filters.to}T23:59:59.999`).getTime(), now.getTime())) : now;
+
+        return this.plans
+            .filter(plan => plan.ownerId === this.settings.activeProfileId &&
+                (!filters.type || plan.type === filters.type) &&
+                (!filters.location || plan.location === filters.location) &&
+                (!filters.category || plan.category === filters.category))
+            .flatMap(plan => Plans.getPlanOccurrences(plan, from, to)
+                .filter(occurrence => Plans.getOccurrenceState(plan, occurrence, this.loads, now.getTime()) === 'missed')
+                .map(occurrence => ({ plan: plan, occurrence: occurrence })));
+    }
+
+    checkPlanReminders() {
+        const now = new Date(this.now());
+        let reminded = false;
+
+        this.plans.forEach(plan => {
+            const due = Plans.getPlanOccurrences(plan, new Date(now.getTime() - Plans.PLAN_GRACE_MS), now)
+                .filter(occurrence => Plans.getOccurrenceState(plan, occurrence, this.loads, now.getTime()) === 'due')
+                .pop();
+            if (!due || (plan.remindedAt && plan.remindedAt >= due)) return;
+
+            plan.remindedAt = now;
+            reminded = true;
+            this.remindPlan(plan);
+        });
+
+        if (reminded) {
             this.saveData();
-            this.updateDisplay();
-            this.showNotification('History cleared', 'success');
         }
+        // Occurrences move from due to missed over time, so the plan list and stats go stale otherwise
+        this.changed('plans');
+        this.schedulePlanTimer();
     }
 
-    exportData() {
-        const data = {
-            loads: this.loads,
-            exportDate: new Date(),
-            version: '1.0'
+    // The service worker was handed this reminder by schedulePlanAlerts, as with showLoadAlert
+    remindPlan(plan) {
+        const reminder = this.getPlanReminder(plan);
+        this.notify(`Time for your planned laundry - ${reminder.body}`, 'info', {
+            label: 'Start now',
+            timeout: 0,
+            handler: () => this.startPlan(plan.id)
+        });
+        if (!this.swRegistration) {
+            this.showBrowserNotification(reminder.title, reminder.body);
+        }
+    }
+
+    getPlanReminder(plan) {
+        // Reminders fire whoever is signed in, so on a shared device they say whose plan it is
+        const owner = this.profiles.length > 1 ? `${this.getProfileName(plan.ownerId)}'s ` : '';
+        return {
+            kind: 'plan',
+            title: 'Laundry plan due',
+            body: `${owner}${plan.name}: ${this.getCategoryName(plan.category)} (${capitalizeFirst(plan.type)}) at ${this.getLocationName(plan.location)}`
         };
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `laundry-tracker-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        
-        URL.revokeObjectURL(url);
-        this.showNotification('Data exported successfully', 'success');
     }
 
-    handleNotifyMe() {
-        const email = prompt('Enter your AIT PUNE email address to get notified when these hostel locations are available:');
-        
-        if (email) {
-            // In a real application, this would send the email to a server
-            // For now, we'll just show a success message and store locally
-            const notifications = JSON.parse(localStorage.getItem('notificationRequests') || '[]');
-            notifications.push({
-                email: email,
-                timestamp: new Date(),
-                locations: ['Ramanujan Hostel', 'APJ Hostel', 'Vishveswariya Hostel']
+    // Hands each plan's next reminder to the service worker so it goes off with the tab closed. Only
+    // the next one: the page schedules the one after whenever it runs again.
+    schedulePlanAlerts() {
+        if (!this.notificationPermission) return;
+
+        const now = new Date(this.now());
+        this.plans.forEach(plan => {
+            const next = Plans.getPlanOccurrences(plan, now, new Date(now.getTime() + 8 * 24 * 60 * 60 * 1000))
+                .find(occurrence => occurrence > now && Plans.getOccurrenceState(plan, occurrence, this.loads, now.getTime()) !== 'fulfilled');
+            if (!next) {
+                this.postToServiceWorker({ type: 'CANCEL_ALERT', planId: plan.id });
+                return;
+            }
+            this.postToServiceWorker({
+                type: 'SCHEDULE_ALERT',
+                alert: { ...this.getPlanReminder(plan), planId: plan.id, at: next.getTime() }
             });
-            localStorage.setItem('notificationRequests', JSON.stringify(notifications));
-            
-            this.showNotification(`Great! We'll notify you at ${email} when these locations are available.`, 'success');
-        }
+        });
     }
-}
 
-// Initialize the app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.laundryTracker = new LaundryTracker();
-});
-
-// Service worker registration for offline capability (optional)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(() => console.log('Service Worker registered'))
-            .catch(() => console.log('Service Worker registration failed'));
-    });
-}
+    schedulePlanTimer() {
+        this.clock.clearTimer(this.planTimer);
+        this.planTimer = null;
+        if (this.plans.length === 0) return;
+
+        const now = new Date(this.now());
+        const nextDue = this.plans
+            .flatMap(plan => Plans.getPlanOccurrences(plan, now, new Date(now.getTime() + 8 * 24 * 60 * 60 * 1000)))
+            .filter(occurrence => occurrence > now)
+            .map(occurrence => occurrence.getTime() - now.getTime());
+        const delay = Math.min(PLAN_CHECK_MAX_MS, ...nextDue);
+        this.planTimer = this.clock.setTimer(() => this.checkPlanReminders(), delay);
+        this.schedulePlanAlerts();
+    }
+
+    // Profiles
+    getActiveProfile() {
+        return this.profiles.find(profile => profile.id === this.settings.activeProfileId) || this.profiles[0];
+    }
+
+    getProfileName(profileId) {
+        const profile = this.profiles.find(item => item.id === profileId);
+        return profile ? profile.name : 'Unknown';
+    }
+
+    isOwnLoad(load) {
+        return load.ownerId === this.settings.activeProfileId;
+    }
+
+    // History, stats, exports and plans only ever cover the current profile
+    getProfileLoads() {
+        return this.loads.filter(load => this.isOwnLoad(load));
+    }
+
+    isLoadInScope(load) {
+        return this.settings.activeLoadScope === 'everyone' || this.isOwnLoad(load);
+    }
+
+    // Keeps the PIN out of plain sight in storage. Anyone with devtools can read every profile's
+    // data anyway, so the PIN only stops roommates picking the wrong profile by accident.
+    hashPin(profileId, pin) {
+        let hash = 0x811c9dc5;
+        for (const char of `${profileId}:${pin}`) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    // A profile without a PIN opens for anyone
+    isPinCorrect(profile, pin) {
+        return !profile.pinHash || this.hashPin(profile.id, pin) === profile.pinHash;
+    }
+
+    // An empty PIN is fine: it means no PIN
+    getPinError(pin) {
+        return pin && !PIN_PATTERN.test(pin) ? 'PINs are 4 to 8 digits' : null;
+    }
+
+    getNewProfileError(name, pin) {
+        if (!name) return 'Please enter a name';
+        if (this.profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+            return `There is already a profile called ${name}`;
+        }
+        return this.getPinError(pin);
+    }
+
+    // Changes to a profile with a PIN need that PIN; a wrong one is turned down here too
+    checkProfilePin(profile, pin) {
+        if (this.isPinCorrect(profile, pin)) return true;
+        this.notify(`Wrong PIN for ${profile.name}`, 'error');
+        return false;
+    }
+
+    addProfile(name, pin) {
+        if (this.getNewProfileError(name, pin)) return null;
+
+        const id = this.createConfigId(name, this.profiles.map(profile => profile.id));
+        const profile = { id: id, name: name, pinHash: pin ? this.hashPin(id, pin) : null };
+        this.profiles.push(profile);
+        this.activateProfile(id);
+        return profile;
+    }
+
+    renameProfile(profileId, name, pin = '') {
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile || !name || name === profile.name || !this.checkProfilePin(profile, pin)) {
+            // Put the old name back in the field
+            this.changed('profiles');
+            return false;
+        }
+
+        profile.name = name;
+        this.saveData();
+        this.changed('profiles');
+        return true;
+    }
+
+    getProfileRemovalError(profileId) {
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile) return null;
+        if (profileId === this.settings.activeProfileId) {
+            return 'Switch to another profile before removing this one';
+        }
+        if (this.loads.some(load => load.ownerId === profileId) || this.plans.some(plan => plan.ownerId === profileId)) {
+            return `${profile.name} still has loads or plans`;
+        }
+        return null;
+    }
+
+    // Only profiles with nothing recorded can go, so removing one never loses loads or plans
+    removeProfile(profileId, pin = '') {
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile) return false;
+
+        const error = this.getProfileRemovalError(profileId);
+        if (error) {
+            this.notify(error, 'error');
+            return false;
+        }
+        if (!this.checkProfilePin(profile, pin)) return false;
+
+        this.profiles = this.profiles.filter(item => item !== profile);
+        this.saveData();
+        this.changed('profiles');
+        this.notify(`Profile removed: ${profile.name}`, 'info');
+        return true;
+    }
+
+    switchProfile(profileId, pin = '') {
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile || profileId === this.settings.activeProfileId) return false;
+
+        if (!this.checkProfilePin(profile, pin)) {
+            // Put the profile select back on the current profile
+            this.changed('profiles');
+            return false;
+        }
+        this.activateProfile(profileId);
+        return true;
+    }
+
+    // currentPin unlocks the profile; an empty pin removes its PIN
+    setProfilePin(profileId, pin, currentPin = '') {
+        const profile = this.profiles.find(item => item.id === profileId);
+        if (!profile || !this.checkProfilePin(profile, currentPin)) return false;
+
+        const error = this.getPinError(pin);
+        if (error) {
+            this.notify(error, 'error');
+            return false;
+        }
+
+        profile.pinHash = pin ? this.hashPin(profile.id, pin) : null;
+        this.saveData();
+        this.changed('profiles');
+        this.notify(pin ? `PIN set for ${profile.name}` : `PIN removed from ${profile.name}`, 'success');
+        return true;
+    }
+
+    activateProfile(profileId) {
+        this.settings.activeProfileId = profileId;
+        this.saveData();
+        this.changed('profiles');
+        this.notify(`Switched to ${this.getActiveProfile().name}`, 'info');
+    }
+
+    setActiveLoadScope(scope) {
+        this.settings.activeLoadScope = LOAD_SCOPES.includes(scope) ? scope : DEFAULT_SETTINGS.activeLoadScope;
+        this.saveData();
+        this.changed();
+    }
+
+    // Configuration
+    normalizeConfig(config) {
+        // Drop malformed or duplicate entries; a missing list falls back to the defaults
+        const clean = (list, fallback, isValid) => {
+            const seenIds = new Set();
+            return (Array.isArray(list) ? list : fallback).filter(entry => {
+                if (!isValid(entry) || seenIds.has(entry.id)) return false;
+                seenIds.add(entry.id);
+                return true;
+            });
+        };
+
+        return {
+            hostels: clean(config.hostels, DEFAULT_CONFIG.hostels, entry => this.isValidConfigEntry(entry))
+                .map(entry => ({ id: entry.id, name: entry.name, archived: entry.archived === true })),
+            categories: clean(config.categories, DEFAULT_CONFIG.categories, entry => this.isValidConfigEntry(entry))
+                .map(entry => ({ id: entry.id, name: entry.name, archived: entry.archived === true })),
+            presets: clean(config.presets, DEFAULT_CONFIG.presets, entry => this.isValidPresetRecord(entry))
+                .map(entry => ({ ...entry }))
+        };
+    }
+
+    mergeConfig(current, incoming) {
+        // Entries we already know keep their local name and archived state
+        const merge = (ours, theirs) => [...ours, ...theirs.filter(entry => !ours.some(own => own.id === entry.id))];
+        return {
+            hostels: merge(current.hostels, incoming.hostels),
+            categories: merge(current.categories, incoming.categories),
+            presets: merge(current.presets, incoming.presets)
+        };
+    }
+
+    getCategoryName(categoryId) {
+        const category = this.config.categories.find(entry => entry.id === categoryId);
+        return category ? category.name : capitalizeFirst(categoryId);
+    }
+
+    createConfigId(name, takenIds) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+        let id = base;
+        for (let suffix = 2; takenIds.includes(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        return id;
+    }
+
+    addHostel(name, washers, dryers) {
+        name = name.trim();
+        if (!name) return;
+
+        // Machines may still point at a hostel id that is no longer in the list
+        const takenIds = [...this.config.hostels.map(entry => entry.id), ...this.machines.map(machine => machine.location)];
+        const id = this.createConfigId(name, takenIds);
+        this.config.hostels.push({ id: id, name: name, archived: false });
+
+        [['washer', 'w', 'Washer', washers], ['dryer', 'd', 'Dryer', dryers]].forEach(([type, prefix, label, count]) => {
+            for (let i = 1; i <= count; i++) {
+                this.machines.push({
+                    id: `${id}-${prefix}${i}`,
+                    location: id,
+                    name: `${label} ${i}`,
+                    type: type,
+                    defaultDuration: NEW_MACHINE_DURATIONS[type],
+                    outOfOrder: false
+                });
+            }
+        });
+
+        this.applyConfigChange();
+        this.notify(`Added ${name} with ${washers} washer(s) and ${dryers} dryer(s)`, 'success');
+    }
+
+    addCategory(name) {
+        name = name.trim();
+        if (!name) return;
+
+        const id = this.createConfigId(name, this.config.categories.map(entry => entry.id));
+        this.config.categories.push({ id: id, name: name, archived: false });
+
+        this.applyConfigChange();
+        this.notify(`Added category ${name}`, 'success');
+    }
+
+    addPreset(name, type, duration, dryDuration) {
+        name = name.trim();
+        if (!name || !LoadState.LOAD_TYPES.includes(type) || !(duration > 0)) {
+            this.notify('Please give the preset a name, type and duration', 'error');
+            return;
+        }
+
+        const preset = {
+            id: this.createConfigId(name, this.config.presets.map(entry => entry.id)),
+            name: name,
+            type: type,
+            duration: duration
+        };
+        if (type === 'both') {
+            preset.dryDuration = dryDuration > 0 ? dryDuration : NEW_MACHINE_DURATIONS.dryer;
+        }
+        this.config.presets.push(preset);
+
+        this.applyConfigChange();
+        this.notify(`Added preset ${name}`, 'success');
+    }
+
+    renameConfigEntry(listName, id, name) {
+        const entry = (this.config[listName] || []).find(item => item.id === id);
+        if (!entry) return;
+
+        name = name.trim();
+        if (name && name !== entry.name) {
+            entry.name = name;
+            this.applyConfigChange();
+        } else {
+            // Put the old name back in the field
+            this.changed('config');
+        }
+    }
+
+    removeConfigEntry(listName, id) {
+        const list = this.config[listName] || [];
+        const entry = list.find(item => item.id === id);
+        if (!entry) return;
+
+        // Presets are not referenced by loads, so they can simply go
+        if (listName === 'presets') {
+            this.config.presets = list.filter(item => item !== entry);
+            this.applyConfigChange();
+            this.notify(`Deleted preset ${entry.name}`, 'info');
+            return;
+        }
+
+        if (listName === 'hostels' && !entry.archived &&
+            this.loads.some(load => load.location === id && LoadState.isActiveLoad(load))) {
+            this.notify(`Finish the active loads at ${entry.name} first`, 'error');
+            return;
+        }
+
+        entry.archived = !entry.archived;
+        this.applyConfigChange();
+        this.notify(`${entry.name} ${entry.archived ? 'archived' : 'restored'}`, 'info');
+    }
+
+    applyConfigChange() {
+        this.saveData();
+        this.changed('config');
+    }
+
+    // Called when the current cycle's timer runs out
+    finishCycle(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || load.status !== 'running') return;
+
+        if (LoadState.getCycleEndStatus(load) === 'transfer') {
+            this.awaitTransfer(loadId);
+        } else {
+            this.completeLoad(loadId);
+        }
+    }
+
+    awaitTransfer(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !LoadState.awaitTransfer(load, this.now())) return;
+
+        this.stopTimer(loadId);
+        this.saveData();
+        this.changed();
+
+        this.notify(`Wash done at ${this.getLocationName(load.location)} - move your ${this.getCategoryName(load.category)} to the dryer`, 'info', null, 'assertive');
+        this.showLoadAlert(load);
+        this.announceFinishedLoad(load);
+    }
+
+    confirmTransfer(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.isOwnLoad(load) || load.status !== 'transfer') return;
+
+        const dryers = this.getMachinesForLocation(load.location).filter(machine => machine.type === 'dryer');
+        const dryer = dryers.find(machine => this.isMachineFree(machine));
+        if (dryers.length > 0 && !dryer) {
+            this.notify(`No free dryer at ${this.getLocationName(load.location)} right now`, 'error');
+            return;
+        }
+        // Free dryers may all be held for people further up the queue
+        const reservationError = dryer ? this.getReservationConflict(load.location, 'dryer') : null;
+        if (reservationError) {
+            this.notify(reservationError, 'error');
+            return;
+        }
+
+        const washer = load.machineId;
+        LoadState.startNextStage(load, dryer ? dryer.id : null, this.now());
+
+        this.notifyMachineFreed(washer);
+        this.advanceQueue(load.location);
+        this.saveData();
+        this.changed();
+        this.startTimer(loadId);
+
+        const machineName = dryer ? ` on ${dryer.name}` : '';
+        this.notify(`Drying started${machineName} at ${this.getLocationName(load.location)}`, 'success');
+    }
+
+    completeLoad(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !LoadState.completeLoad(load, this.now())) return;
+
+        this.stopTimer(loadId);
+        this.advanceQueue(load.location);
+        this.saveData();
+        this.changed();
+        this.watchPickup(loadId);
+        
+        this.notify(`${load.type} load completed at ${this.getLocationName(load.location)}!`, 'success', null, 'assertive');
+        this.showLoadAlert(load);
+        this.announceFinishedLoad(load);
+    }
+
+    collectLoad(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.isOwnLoad(load) || !LoadState.collectLoad(load, this.now())) return;
+
+        this.stopTimer(loadId);
+        this.notifyMachineFreed(load.machineId);
+        this.advanceQueue(load.location);
+        this.saveData();
+        this.changed();
+
+        const wait = LoadState.getPickupWait(load, this.now());
+        this.notify(`Collected ${this.getCategoryName(load.category)} from ${this.getLocationName(load.location)} after ${formatTime(wait)} wait`, 'success');
+    }
+
+    // Keep finished loads on the scheduler so the wait clock and reminders keep ticking
+    watchPickup(loadId) {
+        this.scheduler.add(loadId);
+        this.scheduleCompletionAlert(loadId);
+    }
+
+    // Loads already waiting for pickup switch to the new interval straight away
+    setPickupReminderMinutes(minutes) {
+        this.settings.pickupReminderMinutes = minutes;
+        this.saveData();
+        this.loads
+            .filter(load => load.status === 'awaiting-pickup')
+            .forEach(load => this.scheduleCompletionAlert(load.id));
+    }
+
+    getNextPickupReminder(load) {
+        const interval = this.settings.pickupReminderMinutes * 60 * 1000;
+        const lastReminder = (load.lastReminderAt || load.endTime).getTime();
+        const snoozed = load.snoozedUntil ? load.snoozedUntil.getTime() : 0;
+
+        // A snooze overrides the regular interval until it has passed
+        if (snoozed > lastReminder) return snoozed;
+        return interval > 0 ? lastReminder + interval : null;
+    }
+
+    checkPickupReminder(load) {
+        const next = this.getNextPickupReminder(load);
+        if (next === null || this.now() < next) return;
+
+        load.lastReminderAt = new Date(this.now());
+        this.saveData();
+
+        this.notify(this.getCompletionAlert(load).body, 'info');
+        this.showLoadAlert(load);
+        this.scheduleCompletionAlert(load.id);
+    }
+
+    togglePauseLoad(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.isOwnLoad(load) || load.status !== 'running' && load.status !== 'paused') return;
+
+        if (LoadState.pauseLoad(load, this.now())) {
+            this.stopTimer(loadId);
+            this.notify(`${load.type} load paused`, 'info');
+        } else {
+            LoadState.resumeLoad(load, this.now());
+            this.startTimer(loadId);
+            this.notify(`${load.type} load resumed`, 'info');
+        }
+
+        this.saveData();
+        this.changed();
+    }
+
+    cancelLoad(loadId, fromKeyboard = false) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.isOwnLoad(load) || !LoadState.isActiveLoad(load)) return;
+
+        const snapshot = this.snapshotLoads([load]);
+        LoadState.cancelLoad(load, this.now());
+
+        this.stopTimer(loadId);
+        this.notifyMachineFreed(load.machineId);
+        this.advanceQueue(load.location);
+        this.saveData();
+        this.changed();
+        this.schedulePlanAlerts();
+        
+        this.offerUndo(`${load.type} load cancelled`, snapshot, fromKeyboard);
+    }
+
+    deleteLoad(loadId, fromKeyboard = false) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.isOwnLoad(load)) return;
+
+        const snapshot = this.snapshotLoads([load]);
+
+        this.stopTimer(loadId);
+        this.loads = this.loads.filter(l => l.id !== loadId);
+        if (LoadState.isActiveLoad(load)) {
+            this.notifyMachineFreed(load.machineId);
+        }
+        this.advanceQueue(load.location);
+        this.saveData();
+        this.changed();
+
+        this.offerUndo(`${capitalizeFirst(load.type)} load deleted`, snapshot, fromKeyboard);
+    }
+
+    // fields: { type, location, category, duration, dryDuration, notes, startAt }, as the edit dialog
+    // gives them. Type and hostel only change once the load is finished; startAt only for a scheduled load.
+    editLoad(loadId, fields) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.isOwnLoad(load)) return false;
+
+        // Check what the load would become: type and hostel stay put while it is active
+        const staged = Array.isArray(load.stages);
+        const active = LoadState.isActiveLoad(load);
+        const error = LoadState.getLoadFieldsError({
+            ...fields,
+            type: staged || active ? load.type : fields.type,
+            location: active ? load.location : fields.location
+        });
+        if (error) {
+            this.notify(error, 'error');
+            return false;
+        }
+
+        if (load.status === 'scheduled') {
+            const startTime = new Date(fields.startAt);
+            if (isNaN(startTime.getTime())) {
+                this.notify('Please choose when the load should start', 'error');
+                return false;
+            }
+            // A start time in the past just starts the load on the next tick
+            load.startTime = startTime;
+            if (staged) {
+                load.stages[0].startTime = startTime;
+            }
+        }
+
+        if (staged) {
+            load.stages[0].duration = fields.duration;
+            load.stages[1].duration = fields.dryDuration;
+            load.duration = fields.duration + fields.dryDuration;
+        } else {
+            load.duration = fields.duration;
+        }
+
+        if (!active) {
+            load.location = fields.location;
+            if (!staged) {
+                load.type = fields.type;
+            }
+        }
+        load.category = fields.category;
+        load.notes = (fields.notes || '').trim();
+
+        // A new duration or start moves the finish time, so the timer and its alert need rescheduling
+        if (load.status === 'running' || load.status === 'scheduled') {
+            this.startTimer(load.id);
+        }
+
+        this.saveData();
+        this.changed();
+        this.notify(`${capitalizeFirst(load.type)} load updated`, 'success');
+        return true;
+    }
+
+    // Undo
+    snapshotLoads(loads) {
+        return loads.map(load => ({
+            index: this.loads.indexOf(load),
+            json: JSON.stringify(load)
+        }));
+    }
+
+    // Keyboard users cannot reach a toast before it times out, so for them Undo takes focus and
+    // stays until it is used or dismissed; focus then goes back to the load's card
+    offerUndo(message, snapshot, fromKeyboard = false) {
+        const loadIds = snapshot.map(entry => JSON.parse(entry.json).id);
+
+        this.notify(message, 'info', {
+            label: 'Undo',
+            timeout: fromKeyboard ? 0 : UNDO_TIMEOUT_MS,
+            focus: fromKeyboard,
+            loadIds: loadIds,
+            handler: () => this.restoreSnapshot(snapshot)
+        });
+    }
+
+    // Only the affected loads are put back, so anything else that changed meanwhile is kept
+    restoreSnapshot(snapshot) {
+        const restored = snapshot.map(entry => ({ index: entry.index, load: LoadState.reviveLoadDates(JSON.parse(entry.json)) }));
+
+        const conflict = restored.find(({ load }) => {
+            if (!load.machineId || !LoadState.isActiveLoad(load)) return false;
+            const occupant = this.getMachineLoad(load.machineId);
+            return occupant && occupant.id !== load.id;
+        });
+        if (conflict) {
+            this.notify('Cannot undo: that machine has been taken by another load', 'error');
+            return;
+        }
+
+        restored
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ index, load }) => {
+                const existing = this.loads.findIndex(l => l.id === load.id);
+                if (existing !== -1) {
+                    this.loads[existing] = load;
+                } else {
+                    this.loads.splice(Math.min(index, this.loads.length), 0, load);
+                }
+            });
+
+        this.saveData();
+        this.changed();
+
+        restored.forEach(({ load }) => this.resumeTimers(load));
+
+        this.notify('Undone', 'success');
+    }
+
+    // Timer Management
+    startTimer(loadId) {
+        this.scheduler.add(loadId);
+        this.scheduleCompletionAlert(loadId);
+    }
+
+    // For loads that come back from an undo or an import: timers for the cycle, or pickup reminders
+    resumeTimers(load) {
+        if (load.status === 'running' || load.status === 'scheduled') {
+            this.startTimer(load.id);
+        } else if (load.status === 'awaiting-pickup') {
+            this.watchPickup(load.id);
+        }
+    }
+
+    stopTimer(loadId) {
+        this.scheduler.remove(loadId);
+        this.cancelCompletionAlert(loadId);
+    }
+
+    startTimerUpdates() {
+        this.loads
+            .filter(load => ['scheduled', 'running', 'awaiting-pickup'].includes(load.status))
+            .forEach(load => this.scheduler.add(load.id));
+    }
+
+    handleTimerTick(loadIds) {
+        loadIds.forEach(loadId => {
+            const load = this.loads.find(l => l.id === loadId);
+            if (load && load.status === 'awaiting-pickup') {
+                this.checkPickupReminder(load);
+                return;
+            }
+
+            if (load && load.status === 'scheduled') {
+                if (load.startTime.getTime() <= this.now()) {
+                    this.startScheduledLoad(loadId);
+                }
+                return;
+            }
+
+            if (!load || load.status !== 'running') {
+                this.scheduler.remove(loadId);
+                return;
+            }
+
+            if (LoadState.getRemainingTime(load, this.now()) <= 0) {
+                // Unschedule before finishing so the cycle can only end once
+                this.scheduler.remove(loadId);
+                this.finishCycle(loadId);
+            }
+        });
+
+        // Whatever is still counting down gets its countdown redrawn
+        this.emit('tick', { loadIds });
+    }
+
+    startScheduledLoad(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !LoadState.startScheduledLoad(load)) return;
+
+        this.saveData();
+        this.changed();
+        this.scheduleCompletionAlert(loadId);
+
+        this.notify(`Delayed ${load.type} load started at ${this.getLocationName(load.location)} - ${this.getCategoryName(load.category)}`, 'info');
+    }
+
+    // Utility Functions
+    // Everything time-dependent reads this, so a fake clock passed to the constructor moves the whole app
+    now() {
+        return this.clock.now();
+    }
+
+    generateId() {
+        return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    }
+
+    getLocationName(locationCode) {
+        // Archived hostels are still listed so old loads keep their name
+        const hostel = this.config.hostels.find(entry => entry.id === locationCode);
+        return hostel ? hostel.name : locationCode;
+    }
+
+    // Notifications
+    async requestNotificationPermission() {
+        if (!('Notification' in globalThis)) return;
+
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+        this.notificationPermission = permission === 'granted';
+
+        if (this.notificationPermission) {
+            this.syncCompletionAlerts();
+            this.schedulePlanAlerts();
+        } else if (!this.storage.session.getItem(NOTIFICATION_NOTICE_KEY)) {
+            // Only mention it once per session; the choice lives in the browser settings
+            this.storage.session.setItem(NOTIFICATION_NOTICE_KEY, '1');
+            this.notify('Browser notifications are blocked, so alerts only show while this tab is open. Allowing them in your browser settings lets some browsers also alert you after the tab is closed, though not reliably.', 'info', { timeout: 8000, label: 'OK', handler: () => {} });
+        }
+    }
+
+    // options.loadId tags the notification so a newer alert for the same load replaces it.
+    // Alerts with action buttons for a load are the service worker's (see showLoadAlert).
+    showBrowserNotification(title, body, options = {}) {
+        if (!this.notificationPermission || !('Notification' in globalThis)) return;
+
+        const tag = options.loadId ? `load-${options.loadId}` : 'laundry-tracker';
+
+        if (this.swRegistration) {
+            this.swRegistration.showNotification(title, {
+                body: body,
+                icon: NOTIFICATION_ICON,
+                tag: tag,
+                renotify: true
+            });
+        } else {
+            new Notification(title, {
+                body: body,
+                icon: NOTIFICATION_ICON,
+                tag: tag
+            });
+        }
+    }
+
+    // A service worker was already handed this alert by scheduleCompletionAlert and shows it itself
+    // when it comes due, so the page only shows it when there is no worker
+    showLoadAlert(load) {
+        if (this.swRegistration) return;
+
+        const alert = this.getCompletionAlert(load);
+        this.showBrowserNotification(alert.title, alert.body, { loadId: load.id });
+    }
+
+    getCompletionAlert(load) {
+        const location = this.getLocationName(load.location);
+        const stage = LoadState.getCurrentStage(load);
+
+        if (stage && load.stageIndex < load.stages.length - 1) {
+            return {
+                kind: 'transfer',
+                title: 'Move to dryer',
+                body: `Your ${this.getCategoryName(load.category)} wash at ${location} is done. Move it to the dryer to start drying.`
+            };
+        }
+
+        if (load.status === 'awaiting-pickup' && load.lastReminderAt) {
+            return {
+                kind: 'pickup',
+                title: 'Clothes still in the machine',
+                body: `Your ${this.getCategoryName(load.category)} load at ${location} has finished and is still waiting to be collected.`
+            };
+        }
+
+        return {
+            kind: 'complete',
+            title: 'Laundry Complete!',
+            body: `Your ${this.getCategoryName(load.category)} ${load.type} load at ${location} is done.`
+        };
+    }
+
+    // Background Alerts
+    attachServiceWorker(registration) {
+        this.swRegistration = registration;
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            this.handleServiceWorkerMessage(e.data);
+        });
+
+        // Where supported, let the browser wake the worker now and then to deliver overdue alerts
+        if ('periodicSync' in registration) {
+            registration.periodicSync.register('laundry-alerts', { minInterval: 15 * 60 * 1000 })
+                .catch(() => console.log('Periodic background sync unavailable'));
+        }
+
+        // Pick up anything tapped on a notification while the app was closed
+        this.postToServiceWorker({ type: 'FLUSH_ACTIONS' });
+        this.syncCompletionAlerts();
+        this.schedulePlanAlerts();
+    }
+
+    postToServiceWorker(message) {
+        if (!this.swRegistration) return;
+
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage(message);
+                }
+            })
+            .catch(error => console.error('Error messaging service worker:', error));
+    }
+
+    // Re-send every running load's alert, e.g. after the worker was installed or replaced
+    syncCompletionAlerts() {
+        this.loads
+            .filter(load => ['scheduled', 'running', 'awaiting-pickup'].includes(load.status))
+            .forEach(load => this.scheduleCompletionAlert(load.id));
+    }
+
+    // Running loads are alerted when the cycle ends, finished ones at their next pickup reminder
+    scheduleCompletionAlert(loadId) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.notificationPermission) return;
+
+        let at;
+        let alert;
+        if (load.status === 'running' || load.status === 'scheduled') {
+            at = this.now() + Math.max(0, LoadState.getRemainingTime(load, this.now()));
+            alert = this.getCompletionAlert(load);
+        } else if (load.status === 'awaiting-pickup') {
+            at = this.getNextPickupReminder(load);
+            alert = this.getCompletionAlert({ ...load, lastReminderAt: load.lastReminderAt || load.endTime });
+        }
+        if (!at) {
+            this.cancelCompletionAlert(loadId);
+            return;
+        }
+
+        this.postToServiceWorker({
+            type: 'SCHEDULE_ALERT',
+            alert: { ...alert, loadId: load.id, at: at }
+        });
+    }
+
+    cancelCompletionAlert(loadId) {
+        this.postToServiceWorker({ type: 'CANCEL_ALERT', loadId: loadId });
+    }
+
+    handleServiceWorkerMessage(message) {
+        if (!message) return;
+
+        if (message.type === 'ALERT_ACTION') {
+            this.applyAlertAction(message);
+        } else if (message.type === 'ALERT_ACTIONS') {
+            message.actions.forEach(action => this.applyAlertAction(action));
+        }
+    }
+
+    // Alerts are shown whichever profile is active, but only the owner may act on the load
+    applyAlertAction({ action, loadId, until }) {
+        const load = this.loads.find(l => l.id === loadId);
+        if (!load || !this.isOwnLoad(load)) return;
+
+        if (action === 'collect') {
+            // The tab may have been closed through the whole cycle, so finish it first if needed
+            this.completeLoad(loadId);
+            this.collectLoad(loadId);
+        } else if (action === 'transfer') {
+            this.confirmTransfer(loadId);
+        } else if (action === 'snooze') {
+            load.snoozedUntil = new Date(until);
+            this.saveData();
+            this.scheduleCompletionAlert(loadId);
+            this.notify(`Reminder snoozed until ${formatDateTime(load.snoozedUntil)}`, 'info');
+        }
+    }
+
+    // Hostel Sync
+    isSyncEnabled() {
+        return !!(this.settings.syncUrl && this.settings.syncHostel);
+    }
+
+    configureSync() {
+        this.syncBackend = this.isSyncEnabled() ? new RestSyncBackend(this.settings.syncUrl) : null;
+        this.syncCursor = 0;
+        this.remoteLoads = [];
+        this.syncOnline = false;
+        // Other people's queue entries belong to the hostel we were syncing before
+        this.queue = this.queue.filter(entry => this.isOwnQueueEntry(entry));
+
+        // Changes queued for another hostel can no longer be sent anywhere useful
+        this.writeOutbox(this.readOutbox().filter(change => change.hostel === this.settings.syncHostel));
+
+        if (this.syncBackend) {
+            // Let the hostel see what is already running here
+            this.loads
+                .filter(load => load.location === this.settings.syncHostel && LoadState.isActiveLoad(load))
+                .forEach(load => this.queueLoadChange(load));
+            Queue.getActiveQueue(this.queue, this.settings.syncHostel)
+                .forEach(entry => this.queueSyncChange('queue', entry));
+        }
+
+        this.changed('sync');
+        this.scheduleSync(0);
+    }
+
+    // url is the sync server's address; an empty url or hostel turns sync off
+    saveSyncSettings({ url, hostel, name }) {
+        this.settings.syncUrl = (url || '').trim();
+        this.settings.syncHostel = hostel || '';
+        this.settings.syncName = (name || '').trim();
+        this.saveData();
+        this.configureSync();
+        this.changed();
+
+        this.notify(this.isSyncEnabled()
+            ? `Sharing machine status for ${this.getLocationName(this.settings.syncHostel)}`
+            : 'Hostel sync turned off', 'info');
+    }
+
+    scheduleSync(delay = SYNC_POLL_MS) {
+        this.clock.clearTimer(this.syncTimer);
+        this.syncTimer = this.syncBackend ? this.clock.setTimer(() => this.syncNow(), delay) : null;
+    }
+
+    async syncNow() {
+        if (!this.syncBackend || this.syncInFlight) return;
+
+        const backend = this.syncBackend;
+        const hostelId = this.settings.syncHostel;
+        this.syncInFlight = true;
+
+        try {
+            await this.pushOutbox(backend, hostelId);
+            const changes = await backend.pull(hostelId, this.syncCursor);
+            // Settings may have changed while the request was out
+            if (backend === this.syncBackend) {
+                this.applyRemoteChanges(changes);
+                this.syncOnline = true;
+                this.lastSyncAt = new Date(this.now());
+            }
+        } catch (error) {
+            console.warn('Sync failed, will retry:', error);
+            this.syncOnline = false;
+        } finally {
+            this.syncInFlight = false;
+            if (backend === this.syncBackend) {
+                this.changed('sync');
+                this.scheduleSync();
+            }
+        }
+    }
+
+    readOutbox() {
+        try {
+            const outbox = JSON.parse(this.storage.local.getItem(OUTBOX_KEY) || '[]');
+            return Array.isArray(outbox) ? outbox : [];
+        } catch (error) {
+            console.error('Error reading sync outbox:', error);
+            return [];
+        }
+    }
+
+    writeOutbox(outbox) {
+        try {
+            if (outbox.length > 0) {
+                this.storage.local.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+            } else {
+                this.storage.local.removeItem(OUTBOX_KEY);
+            }
+        } catch (error) {
+            console.error('Error saving sync outbox:', error);
+        }
+    }
+
+    queueSyncChange(type, record) {
+        if (!this.isSyncEnabled()) return;
+
+        // Only the newest version of each record needs to reach the server
+        const outbox = this.readOutbox().filter(change => !(change.type === type && change.record.id === record.id));
+        outbox.push({ type: type, hostel: this.settings.syncHostel, record: JSON.parse(JSON.stringify(record)) });
+        this.writeOutbox(outbox);
+        this.scheduleSync(0);
+    }
+
+    queueLoadChange(load) {
+        if (load.location !== this.settings.syncHostel) return;
+
+        // Notes stay on this device; the hostel only needs to know who is using which machine
+        this.queueSyncChange('load', {
+            ...load,
+            notes: '',
+            clientId: this.settings.clientId,
+            // On a shared device the profile says who the load belongs to better than the device name
+            ownerName: this.profiles.length > 1
+                ? this.getProfileName(load.ownerId)
+                : this.settings.syncName || 'Someone'
+        });
+    }
+
+    rememberLoad(load) {
+        const { updatedAt, ...fields } = load;
+        this.loadFingerprints.set(load.id, { location: load.location, fingerprint: JSON.stringify(fields) });
+    }
+
+    // Stamp loads changed since the last save so conflicts can be settled by time, and queue them for sync
+    trackLoadChanges() {
+        const now = new Date(this.now());
+        const currentIds = new Set();
+
+        this.loads.forEach(load => {
+            currentIds.add(load.id);
+            const { updatedAt, ...fields } = load;
+            const known = this.loadFingerprints.get(load.id);
+            if (known && known.fingerprint === JSON.stringify(fields)) return;
+
+            load.updatedAt = now;
+            this.rememberLoad(load);
+            this.queueLoadChange(load);
+        });
+
+        this.loadFingerprints.forEach((known, id) => {
+            if (currentIds.has(id)) return;
+            this.loadFingerprints.delete(id);
+            if (known.location === this.settings.syncHostel) {
+                this.queueSyncChange('load', { id: id, deleted: true, updatedAt: now, clientId: this.settings.clientId });
+            }
+        });
+    }
+
+    async pushOutbox(backend, hostelId) {
+        const outbox = this.readOutbox().filter(change => change.hostel === hostelId);
+        if (outbox.length === 0) return;
+
+        const result = await backend.push(hostelId, outbox.map(({ type, record }) => ({ type, record })));
+
+        // Rejected changes are settled too: the server sends back the newer copy that won
+        const sentKey = change => `${change.type}:${change.record.id}:${change.record.updatedAt}`;
+        const sent = new Set(outbox.map(sentKey));
+        this.writeOutbox(this.readOutbox().filter(change => !sent.has(sentKey(change))));
+
+        const conflicts = Array.isArray(result.conflicts) ? result.conflicts : [];
+        if (conflicts.length > 0 && backend === this.syncBackend) {
+            this.applyRemoteChanges({
+                loads: conflicts.filter(change => change.type === 'load').map(change => change.record),
+                machines: conflicts.filter(change => change.type === 'machine').map(change => change.record),
+                queue: conflicts.filter(change => change.type === 'queue').map(change => change.record)
+            });
+        }
+    }
+
+    applyRemoteChanges(changes) {
+        if (changes.reset) {
+            this.remoteLoads = [];
+        }
+
+        let changedLocally = false;
+        (Array.isArray(changes.loads) ? changes.loads : []).forEach(record => {
+            if (!record || typeof record.id !== 'string') return;
+
+            if (record.clientId === this.settings.clientId) {
+                changedLocally = this.applyOwnRemoteLoad(record) || changedLocally;
+                return;
+            }
+
+            const { remoteLoads, freedMachineId, finishedLoad } = SyncMerge.mergeRemoteLoad(this.remoteLoads, record);
+            this.remoteLoads = remoteLoads;
+            if (freedMachineId) {
+                this.notifyMachineFreed(freedMachineId);
+            }
+            if (finishedLoad) {
+                this.announceFinishedLoad(finishedLoad);
+            }
+        });
+
+        (Array.isArray(changes.machines) ? changes.machines : []).forEach(record => {
+            if (record && SyncMerge.mergeRemoteMachine(this.getMachine(record.id), record)) {
+                changedLocally = true;
+            }
+        });
+
+        (Array.isArray(changes.queue) ? changes.queue : []).forEach(record => {
+            const merged = SyncMerge.mergeRemoteQueueEntry(this.queue, record);
+            if (!merged) return;
+
+            this.queue = merged.queue;
+            if (merged.notified) {
+                this.announceReservation(merged.entry);
+            }
+            changedLocally = true;
+        });
+
+        // Someone else's load may have just finished, or a reservation elsewhere lapsed
+        if (this.settings.syncHostel) {
+            changedLocally = this.expireReservations() || changedLocally;
+            changedLocally = this.advanceQueue(this.settings.syncHostel) || changedLocally;
+        }
+
+        if (Number.isInteger(changes.cursor)) {
+            this.syncCursor = changes.cursor;
+        }
+
+        if (changedLocally) {
+            this.saveData();
+        }
+        this.changed();
+    }
+
+    applyOwnRemoteLoad(record) {
+        const index = this.loads.findIndex(load => load.id === record.id);
+        const load = SyncMerge.mergeOwnRemoteLoad(this.loads[index], record);
+        if (!load) return false;
+
+        this.loads[index] = load;
+        this.rememberLoad(load);
+
+        if (['scheduled', 'running', 'awaiting-pickup'].includes(load.status)) {
+            this.startTimer(load.id);
+        } else {
+            this.stopTimer(load.id);
+        }
+        return true;
+    }
+
+    // Other people's loads, less those whose device has gone quiet well past their finish
+    getLiveRemoteLoads() {
+        return this.remoteLoads.filter(load => !SyncMerge.isStaleRemoteLoad(load, this.now()));
+    }
+
+    // Data Management
+    clearHistory(fromKeyboard = false) {
+        const cleared = this.getProfileLoads().filter(load => !LoadState.isActiveLoad(load));
+        if (cleared.length === 0) return;
+
+        const snapshot = this.snapshotLoads(cleared);
+        this.loads = this.loads.filter(load => !cleared.includes(load));
+        this.saveData();
+        this.changed();
+        this.offerUndo(`History cleared (${cleared.length} loads)`, snapshot, fromKeyboard);
+    }
+
+    // Returns the file as { content, filename, type } for the page to download
+    exportData(options = {}) {
+        const { format = 'json', from = '', to = '', status = '' } = options;
+        const profile = this.getActiveProfile();
+        const loads = this.filterExportLoads(this.getProfileLoads(), { from, to, status });
+        const date = new Date(this.now()).toISOString().split('T')[0];
+        const filename = `laundry-tracker-${profile.id}-${date}`;
+
+        let file;
+        if (format === 'csv') {
+            file = { content: buildCsv(loads, this.getExportLabels(), this.now()), filename: `${filename}.csv`, type: 'text/csv;charset=utf-8' };
+        } else if (format === 'ics') {
+            file = { content: buildICalendar(loads, this.getExportLabels(), this.now()), filename: `${filename}.ics`, type: 'text/calendar;charset=utf-8' };
+        } else {
+            const data = {
+                profile: { name: profile.name },
+                loads: loads,
+                machines: this.machines,
+                settings: this.settings,
+                config: this.config,
+                exportDate: new Date(this.now()),
+                version: `${SCHEMA_VERSION}.0`
+            };
+            file = { content: JSON.stringify(data, null, 2), filename: `${filename}.json`, type: 'application/json' };
+        }
+
+        this.notify(`Exported ${loads.length} load(s) as ${format.toUpperCase()}`, 'success');
+        return file;
+    }
+
+    filterExportLoads(loads, { from, to, status }) {
+        const statusFilter = status === 'active' ? '' : status;
+        return filterLoads(loads, { ...DEFAULT_HISTORY_FILTERS, from, to, status: statusFilter })
+            .filter(load => status !== 'active' || LoadState.isActiveLoad(load));
+    }
+
+    getExportLabels() {
+        return {
+            location: locationId => this.getLocationName(locationId),
+            category: categoryId => this.getCategoryName(categoryId),
+            machine: machineId => {
+                const machine = this.getMachine(machineId);
+                return machine ? machine.name : '';
+            },
+            alert: load => this.getCompletionAlert(load).body
+        };
+    }
+
+    async importData(file, mode = 'merge') {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            this.notify('Import failed: file is not valid JSON', 'error');
+            return;
+        }
+
+        if (!data || typeof data !== 'object' || !Array.isArray(data.loads) || data.version === undefined) {
+            this.notify('Import failed: not a Laundry Tracker export', 'error');
+            return;
+        }
+
+        const fileVersion = getSchemaVersion(data.version);
+        if (fileVersion > SCHEMA_VERSION) {
+            this.notify(`Import failed: file uses a newer format (v${fileVersion})`, 'error');
+            return;
+        }
+
+        const migrated = migrateData(data, fileVersion);
+        const { valid, rejected } = LoadState.partitionLoadRecords(migrated.loads);
+        // Imports always go to the current profile, whoever exported them
+        const validLoads = valid.map(load => LoadState.reviveLoadDates({ ...load, ownerId: this.settings.activeProfileId }));
+        const summary = { added: 0, skipped: 0, rejected: rejected.length, busy: 0 };
+
+        let replaced = [];
+        if (mode === 'replace') {
+            replaced = this.getProfileLoads();
+            replaced.forEach(load => this.stopTimer(load.id));
+            this.loads = this.loads.filter(load => !replaced.includes(load));
+        }
+
+        const existingIds = new Set(this.loads.map(load => load.id));
+        // Active loads need their machine the same way a new load does, including from each other
+        const claimedMachines = new Set();
+        const imported = validLoads.filter(load => {
+            if (existingIds.has(load.id)) {
+                summary.skipped++;
+                return false;
+            }
+
+            const machine = LoadState.isActiveLoad(load) ? this.getMachine(load.machineId) : null;
+            if (machine && (!this.isMachineFree(machine) || claimedMachines.has(machine.id))) {
+                summary.rejected++;
+                summary.busy++;
+                return false;
+            }
+            if (machine) {
+                claimedMachines.add(machine.id);
+            }
+            summary.added++;
+            return true;
+        });
+
+        this.loads = [...imported, ...this.loads].sort((a, b) => b.startTime - a.startTime);
+
+        // As after a cancel: machines the replaced loads were in are free unless an imported load took them back
+        replaced
+            .filter(load => LoadState.isActiveLoad(load) && load.machineId && !this.getMachineLoad(load.machineId))
+            .forEach(load => this.notifyMachineFreed(load.machineId));
+        [...new Set(replaced.map(load => load.location))].forEach(location => this.advanceQueue(location));
+
+        if (migrated.config && typeof migrated.config === 'object') {
+            const importedConfig = this.normalizeConfig(migrated.config);
+            // Config is shared by every profile, so even a replacing import only adds to it
+            this.config = this.mergeConfig(this.config, importedConfig);
+        }
+
+        this.saveData();
+        this.changed('config');
+
+        imported.forEach(load => this.resumeTimers(load));
+
+        const type = summary.added > 0 || summary.rejected === 0 ? 'success' : 'error';
+        const busy = summary.busy > 0 ? ` (${summary.busy} on a machine that is in use)` : '';
+        this.notify(`Import complete: ${summary.added} added, ${summary.skipped} skipped, ${summary.rejected} rejected${busy}`, type);
+    }
+
+    isValidMachineRecord(record) {
+        return !!record && typeof record === 'object' &&
+            typeof record.id === 'string' && record.id.length > 0 &&
+            typeof record.location === 'string' && record.location.length > 0 &&
+            typeof record.name === 'string' && record.name.length > 0 &&
+            MACHINE_TYPES.includes(record.type) &&
+            Number.isFinite(record.defaultDuration) && record.defaultDuration > 0 &&
+            typeof record.outOfOrder === 'boolean';
+    }
+
+    isValidConfigEntry(record) {
+        return !!record && typeof record === 'object' &&
+            typeof record.id === 'string' && record.id.length > 0 &&
+            typeof record.name === 'string' && record.name.length > 0 &&
+            (record.archived === undefined || typeof record.archived === 'boolean');
+    }
+
+    isValidPresetRecord(record) {
+        return !!record && typeof record === 'object' &&
+            typeof record.id === 'string' && record.id.length > 0 &&
+            typeof record.name === 'string' && record.name.length > 0 &&
+            LoadState.LOAD_TYPES.includes(record.type) &&
+            Number.isFinite(record.duration) && record.duration > 0 &&
+            (record.type !== 'both' || (Number.isFinite(record.dryDuration) && record.dryDuration > 0));
+    }
+
+    isValidProfile(record) {
+        return !!record && typeof record === 'object' &&
+            typeof record.id === 'string' && record.id.length > 0 &&
+            typeof record.name === 'string' && record.name.length > 0 &&
+            (record.pinHash === null || typeof record.pinHash === 'string');
+    }
+
+    isValidSubscription(record) {
+        return !!record && typeof record === 'object' &&
+            typeof record.id === 'string' && record.id.length > 0 &&
+            typeof record.email === 'string' && this.isValidSubscriptionEmail(record.email) &&
+            Array.isArray(record.hostels) && record.hostels.every(hostel => typeof hostel === 'string') &&
+            Array.isArray(record.events) && record.events.length > 0 &&
+            record.events.every(event => Object.keys(SUBSCRIPTION_EVENTS).includes(event)) &&
+            typeof record.createdAt === 'string' && !isNaN(new Date(record.createdAt).getTime());
+    }
+
+    // Email Subscriptions
+    isValidSubscriptionEmail(email) {
+        const domain = SUBSCRIPTION_EMAIL_DOMAIN.replace(/\./g, '\\.');
+        return new RegExp(`^[a-z0-9._%+-]+@${domain}$`, 'i').test(email);
+    }
+
+    // The old prompt stored whatever was typed and asked to hear when the hostels were available;
+    // keep the real addresses as "machine freed" subscriptions for every hostel
+    importLegacyNotifyRequests() {
+        const saved = this.storage.local.getItem(LEGACY_NOTIFY_KEY);
+        if (saved === null) return;
+
+        let requests = [];
+        try {
+            requests = JSON.parse(saved);
+        } catch (error) {
+            console.warn('Dropping unreadable notify-me requests:', error);
+        }
+
+        (Array.isArray(requests) ? requests : []).forEach(request => {
+            const email = request && typeof request.email === 'string' ? request.email.trim().toLowerCase() : '';
+            if (!this.isValidSubscriptionEmail(email) || this.subscriptions.some(item => item.email === email)) return;
+
+            const createdAt = new Date(request.timestamp);
+            this.subscriptions.push({
+                id: this.generateId(),
+                email: email,
+                hostels: this.config.hostels.filter(hostel => !hostel.archived).map(hostel => hostel.id),
+                events: ['machine-freed'],
+                createdAt: isNaN(createdAt.getTime()) ? new Date(this.now()) : createdAt
+            });
+        });
+
+        this.storage.local.removeItem(LEGACY_NOTIFY_KEY);
+        this.saveData();
+    }
+
+    getSubscriptionError(email, hostels, events) {
+        if (!this.isValidSubscriptionEmail(email)) {
+            return `Please use your @${SUBSCRIPTION_EMAIL_DOMAIN} email address`;
+        }
+        if (events.length === 0) {
+            return 'Choose at least one thing to be emailed about';
+        }
+        if (hostels.length === 0) {
+            return 'Choose at least one hostel to follow';
+        }
+        return null;
+    }
+
+    // Saving again for the same address replaces what it follows; returns the subscription
+    saveSubscription(email, hostels, events) {
+        if (this.getSubscriptionError(email, hostels, events)) return null;
+
+        const existing = this.subscriptions.find(item => item.email === email);
+        if (existing) {
+            existing.hostels = hostels;
+            existing.events = events;
+        } else {
+            this.subscriptions.push({ id: this.generateId(), email: email, hostels: hostels, events: events, createdAt: new Date(this.now()) });
+        }
+        this.saveData();
+        this.changed('subscriptions');
+
+        const followed = hostels.map(hostel => this.getLocationName(hostel)).join(', ');
+        this.deliverEmail(email, 'Laundry tracker notifications are on',
+            `You will get an email when: ${events.map(event => SUBSCRIPTION_EVENTS[event].toLowerCase()).join('; ')}.\nFollowing: ${followed}.`);
+        this.notify(existing ? `Updated notifications for ${email}` : `Subscribed ${email} to email notifications`, 'success');
+        return existing || this.subscriptions[this.subscriptions.length - 1];
+    }
+
+    unsubscribe(subscriptionId) {
+        const subscription = this.subscriptions.find(item => item.id === subscriptionId);
+        if (!subscription) return;
+
+        this.subscriptions = this.subscriptions.filter(item => item !== subscription);
+        this.saveData();
+        this.changed('subscriptions');
+
+        this.deliverEmail(subscription.email, 'Unsubscribed from laundry tracker notifications',
+            'You will not get any more emails from the laundry tracker.');
+        this.notify(`Unsubscribed ${subscription.email}`, 'info');
+    }
+
+    // Subscriptions are kept on this device, so only what happens while it is open gets mailed
+    notifySubscribers(event, location, subject, text) {
+        this.subscriptions
+            .filter(subscription => subscription.events.includes(event) && subscription.hostels.includes(location))
+            .forEach(subscription => this.deliverEmail(subscription.email, subject, text));
+    }
+
+    notifyMachineFreed(machineId) {
+        const machine = this.getMachine(machineId);
+        if (!machine || machine.outOfOrder) return;
+
+        const hostel = this.getLocationName(machine.location);
+        this.notifySubscribers('machine-freed', machine.location, `${machine.name} is free at ${hostel}`,
+            `${machine.name} (${machine.type}) at ${hostel} has just become free.`);
+    }
+
+    // Mail goes through the sync server only while sync itself is on
+    getMailer() {
+        if (this.mailer) return this.mailer;
+        return this.isSyncEnabled() ? new HttpMailer(this.settings.syncUrl) : this.mockMailer;
+    }
+
+    deliverEmail(to, subject, text) {
+        const footer = '\n\nManage or unsubscribe under "Notify Me" in the AIT Pune laundry tracker.';
+        this.getMailer().send({ to: to, subject: subject, text: text + footer })
+            .catch(error => console.warn(`Could not email ${to}:`, error));
+    }
+}
+
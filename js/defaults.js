@@ -0,0 +1,59 @@
+// What a fresh install starts with. Also used by storage migrations to fill in what older data lacks.
+
+// Physical machines in each hostel; defaultDuration is the machine's standard cycle in minutes
+export const DEFAULT_MACHINES = [
+    { id: 'ramanujan-w1', location: 'ramanujan', name: 'Washer 1', type: 'washer', defaultDuration: 35 },
+    { id: 'ramanujan-w2', location: 'ramanujan', name: 'Washer 2', type: 'washer', defaultDuration: 35 },
+    { id: 'ramanujan-d1', location: 'ramanujan', name: 'Dryer 1', type: 'dryer', defaultDuration: 45 },
+    { id: 'apj-w1', location: 'apj', name: 'Washer 1', type: 'washer', defaultDuration: 30 },
+    { id: 'apj-w2', location: 'apj', name: 'Washer 2', type: 'washer', defaultDuration: 30 },
+    { id: 'apj-d1', location: 'apj', name: 'Dryer 1', type: 'dryer', defaultDuration: 40 },
+    { id: 'vishveswariya-w1', location: 'vishveswariya', name: 'Washer 1', type: 'washer', defaultDuration: 30 },
+    { id: 'vishveswariya-d1', location: 'vishveswariya', name: 'Dryer 1', type: 'dryer', defaultDuration: 40 }
+];
+
+// Hostels, categories and cycle presets users can manage from the settings panel.
+// Removing a hostel or category only archives it so older loads still show its name.
+export const DEFAULT_CONFIG = {
+    hostels: [
+        { id: 'ramanujan', name: 'Ramanujan Hostel', archived: false },
+        { id: 'apj', name: 'APJ Hostel', archived: false },
+        { id: 'vishveswariya', name: 'Vishveswariya Hostel', archived: false }
+    ],
+    categories: [
+        { id: 'whites', name: 'Whites', archived: false },
+        { id: 'colors', name: 'Colors', archived: false },
+        { id: 'darks', name: 'Darks', archived: false },
+        { id: 'delicates', name: 'Delicates', archived: false },
+        { id: 'bedding', name: 'Bedding', archived: false },
+        { id: 'towels', name: 'Towels', archived: false }
+    ],
+    // duration is the wash (or only) stage; dryDuration is only used by wash & dry presets
+    presets: [
+        { id: 'quick-wash', name: 'Quick wash 20m', type: 'washing', duration: 20 },
+        { id: 'bedding', name: 'Bedding 60m', type: 'washing', duration: 60 },
+        { id: 'standard-dry', name: 'Standard dry 40m', type: 'drying', duration: 40 },
+        { id: 'full-cycle', name: 'Wash & dry 30m + 40m', type: 'both', duration: 30, dryDuration: 40 }
+    ]
+};
+export const MACHINE_TYPES = ['washer', 'dryer'];
+export const NEW_MACHINE_DURATIONS = { washer: 30, dryer: 40 };
+
+// Everything recorded before profiles existed belongs to this profile
+export const DEFAULT_PROFILE = { id: 'default', name: 'Default', pinHash: null };
+
+export const DEFAULT_SETTINGS = {
+    // How often to nag about a finished load nobody has collected; 0 turns reminders off
+    pickupReminderMinutes: 10,
+    // How long the next person in the queue has to start a load before their turn passes on
+    queueGraceMinutes: 10,
+    // Optional shared machine status; sync stays off until both a server and a hostel are set
+    syncUrl: '',
+    syncHostel: '',
+    syncName: '',
+    // Identifies this browser's loads on the sync server
+    clientId: '',
+    // Who is using this device right now, and whether the active list shows only their loads
+    activeProfileId: DEFAULT_PROFILE.id,
+    activeLoadScope: 'mine'
+};
@@ -0,0 +1,123 @@
+// CSV and iCalendar exports of a list of loads. Names come from `labels` so this module needs
+// nothing from the page: { location(id), category(id), machine(id), alert(load) } each return text.
+
+import { getActualDuration, getExpectedEndTime, getPickupWait, getRemainingTime } from './load-state.js';
+
+export const CSV_HEADER = ['id', 'type', 'category', 'location', 'machine', 'status', 'start', 'end',
+    'planned_minutes', 'actual_minutes', 'paused_minutes', 'pickup_wait_minutes', 'notes'];
+
+export function buildCsv(loads, labels, now) {
+    const toMinutes = ms => (ms === null ? '' : (ms / 60000).toFixed(1));
+
+    const rows = loads.map(load => [
+        load.id,
+        load.type,
+        load.category,
+        labels.location(load.location),
+        labels.machine(load.machineId),
+        load.status,
+        load.startTime.toISOString(),
+        load.endTime ? load.endTime.toISOString() : '',
+        load.duration,
+        toMinutes(getActualDuration(load)),
+        toMinutes(load.pausedTime),
+        load.collectedAt ? toMinutes(getPickupWait(load, now)) : '',
+        load.notes || ''
+    ]);
+
+    return [CSV_HEADER, ...rows].map(row => row.map(value => escapeCsvValue(value)).join(',')).join('\r\n') + '\r\n';
+}
+
+export function escapeCsvValue(value) {
+    let text = String(value);
+    // Spreadsheets run cells starting with these as formulas, so neutralise them
+    if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildICalendar(loads, labels, now) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AIT PUNE//Laundry Tracker//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    const stamp = formatICalendarDate(new Date(now));
+
+    loads.forEach(load => {
+        const end = load.endTime || getExpectedEndTime(load, now);
+        // A delayed load cancelled before its start never took place, and would end before it began
+        if (end < load.startTime) return;
+
+        const location = [labels.location(load.location), labels.machine(load.machineId)]
+            .filter(Boolean)
+            .join(' - ');
+        const type = load.type.charAt(0).toUpperCase() + load.type.slice(1);
+        const description = [`Status: ${load.status}`, `Planned: ${load.duration} min`];
+        if (load.notes) description.push(`Notes: ${load.notes}`);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${load.id}@laundry-tracker.aitpune`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatICalendarDate(load.startTime)}`,
+            `DTEND:${formatICalendarDate(end)}`,
+            `SUMMARY:${escapeICalendarText(`${type} - ${labels.category(load.category)}`)}`,
+            `LOCATION:${escapeICalendarText(location)}`,
+            `DESCRIPTION:${escapeICalendarText(description.join('\n'))}`,
+            `STATUS:${load.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+        );
+
+        // Running and scheduled loads get a reminder when their current cycle is due to finish. For a
+        // wash & dry load still washing that is the move to the dryer, which is what labels.alert says.
+        if (load.status === 'running' || load.status === 'scheduled') {
+            const cycleEnd = new Date(now + Math.max(0, getRemainingTime(load, now)));
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeICalendarText(labels.alert(load))}`,
+                `TRIGGER;VALUE=DATE-TIME:${formatICalendarDate(cycleEnd)}`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => foldICalendarLine(line)).join('\r\n') + '\r\n';
+}
+
+export function formatICalendarDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+export function escapeICalendarText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 caps lines at 75 octets; continuation lines start with a space
+export function foldICalendarLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
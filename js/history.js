@@ -0,0 +1,72 @@
+// Filtering, sorting and bookmarking the load history. The same filters drive the statistics
+// section and exports, so they work on any list of loads.
+
+import { getActualDuration } from './load-state.js';
+
+export const HISTORY_SORTS = ['newest', 'oldest', 'longest', 'shortest'];
+
+// Every history filter and the URL parameter it is bookmarked under
+export const DEFAULT_HISTORY_FILTERS = {
+    q: '',
+    type: '',
+    location: '',
+    category: '',
+    status: '',
+    from: '',
+    to: '',
+    sort: 'newest',
+    page: 1
+};
+
+// from and to are local dates (YYYY-MM-DD) and both days are included
+export function filterLoads(loads, filters) {
+    const query = filters.q.trim().toLowerCase();
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+    return loads.filter(load =>
+        (!query || (load.notes || '').toLowerCase().includes(query)) &&
+        (!filters.type || load.type === filters.type) &&
+        (!filters.location || load.location === filters.location) &&
+        (!filters.category || load.category === filters.category) &&
+        (!filters.status || load.status === filters.status) &&
+        (!from || load.startTime >= from) &&
+        (!to || load.startTime <= to));
+}
+
+export function sortLoads(loads, sort) {
+    const byStart = (a, b) => a.startTime - b.startTime;
+    // Loads without an end time have no actual duration and always sort last
+    const byDuration = direction => (a, b) => {
+        const durationA = getActualDuration(a);
+        const durationB = getActualDuration(b);
+        if (durationA === null || durationB === null) return (durationA === null) - (durationB === null);
+        return (durationA - durationB) * direction;
+    };
+
+    const comparators = {
+        newest: (a, b) => byStart(b, a),
+        oldest: byStart,
+        longest: byDuration(-1),
+        shortest: byDuration(1)
+    };
+
+    return [...loads].sort(comparators[sort] || comparators.newest);
+}
+
+// Anything missing or unusable in the query string falls back to its default
+export function parseHistoryFilters(params) {
+    const filters = { ...DEFAULT_HISTORY_FILTERS };
+
+    Object.keys(DEFAULT_HISTORY_FILTERS).forEach(key => {
+        const value = params.get(key);
+        if (value !== null) filters[key] = value;
+    });
+
+    filters.page = parseInt(filters.page) || 1;
+    if (!HISTORY_SORTS.includes(filters.sort)) filters.sort = DEFAULT_HISTORY_FILTERS.sort;
+    if (filters.from && isNaN(new Date(filters.from).getTime())) filters.from = '';
+    if (filters.to && isNaN(new Date(filters.to).getTime())) filters.to = '';
+
+    return filters;
+}
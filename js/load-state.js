@@ -0,0 +1,289 @@
+// What a load is and how it moves between statuses. Nothing here touches the DOM, storage
+// or the real clock: every function that depends on the time takes `now` in milliseconds.
+
+export const LOAD_TYPES = ['washing', 'drying', 'both'];
+export const LOAD_STATUSES = ['scheduled', 'running', 'paused', 'transfer', 'awaiting-pickup', 'completed', 'cancelled'];
+export const STAGE_NAMES = ['wash', 'dry'];
+
+export function isActiveLoad(load) {
+    return ['scheduled', 'running', 'paused', 'transfer', 'awaiting-pickup'].includes(load.status);
+}
+
+export function createStage(name, duration, machineId, startTime) {
+    return {
+        name: name,
+        duration: duration,
+        machineId: machineId,
+        startTime: startTime,
+        endTime: null,
+        pausedTime: 0
+    };
+}
+
+export function getCurrentStage(load) {
+    return Array.isArray(load.stages) ? load.stages[load.stageIndex] : null;
+}
+
+// Time Accounting
+export function getTimeUntilStart(load, now) {
+    return load.status === 'scheduled' ? Math.max(0, load.startTime.getTime() - now) : 0;
+}
+
+export function getElapsedTime(load, now) {
+    let elapsed = now - load.startTime.getTime() - load.pausedTime;
+
+    if (load.status === 'paused' && load.pausedAt) {
+        elapsed -= (now - load.pausedAt.getTime());
+    }
+
+    return Math.max(0, elapsed);
+}
+
+export function getStageElapsedTime(load, stage, now) {
+    if (!stage.startTime) return 0;
+
+    const end = stage.endTime ? stage.endTime.getTime() : now;
+    let elapsed = end - stage.startTime.getTime() - stage.pausedTime;
+
+    if (!stage.endTime && load.status === 'paused' && load.pausedAt) {
+        elapsed -= (now - load.pausedAt.getTime());
+    }
+
+    return Math.max(0, elapsed);
+}
+
+// Length of the cycle currently timing: the active stage for staged loads, else the whole load
+export function getCycleDurationMs(load) {
+    const stage = getCurrentStage(load);
+    return (stage ? stage.duration : load.duration) * 60 * 1000;
+}
+
+// Scheduled loads also have to wait for their start, so this is when the machine is next done
+export function getRemainingTime(load, now) {
+    const stage = getCurrentStage(load);
+    const elapsed = stage ? getStageElapsedTime(load, stage, now) : getElapsedTime(load, now);
+    return getTimeUntilStart(load, now) + getCycleDurationMs(load) - elapsed;
+}
+
+// When an unfinished load should end, counting any stages still to come
+export function getExpectedEndTime(load, now) {
+    const stage = getCurrentStage(load);
+    const laterStages = stage ? load.stages.slice(load.stageIndex + 1) : [];
+    const laterMs = laterStages.reduce((sum, item) => sum + item.duration * 60 * 1000, 0);
+    const remaining = load.status === 'transfer' ? 0 : Math.max(0, getRemainingTime(load, now));
+    return new Date(now + remaining + laterMs);
+}
+
+export function getActualDuration(load) {
+    if (!load.endTime) return null;
+    // A wash & dry load only ran while one of its stages did, not while it waited for the dryer
+    if (Array.isArray(load.stages)) {
+        return load.stages.reduce((sum, stage) => sum + getStageElapsedTime(load, stage, load.endTime.getTime()), 0);
+    }
+    // Loads cancelled before their delayed start never ran at all
+    return Math.max(0, load.endTime.getTime() - load.startTime.getTime() - load.pausedTime);
+}
+
+export function getPickupWait(load, now) {
+    if (!load.endTime) return 0;
+    const end = load.collectedAt ? load.collectedAt.getTime() : now;
+    return Math.max(0, end - load.endTime.getTime());
+}
+
+// Transitions
+// Each one changes the load in place and returns false, leaving it untouched, if the load
+// is not in a status it can move from.
+
+// The machine's delay timer has run out, so the cycle is under way
+export function startScheduledLoad(load) {
+    if (load.status !== 'scheduled') return false;
+
+    load.status = 'running';
+    return true;
+}
+
+export function pauseLoad(load, now) {
+    if (load.status !== 'running') return false;
+
+    load.status = 'paused';
+    load.pausedAt = new Date(now);
+    return true;
+}
+
+export function resumeLoad(load, now) {
+    if (load.status !== 'paused') return false;
+
+    load.status = 'running';
+    closePause(load, now);
+    return true;
+}
+
+// The time spent paused is added to the load and its current stage so neither counts it as run time
+function closePause(load, now) {
+    if (!load.pausedAt) return;
+
+    const pausedFor = now - load.pausedAt.getTime();
+    load.pausedTime += pausedFor;
+    const stage = getCurrentStage(load);
+    if (stage) stage.pausedTime += pausedFor;
+    load.pausedAt = null;
+}
+
+// What a running load moves to when its timer runs out: the next stage if it has one, else pickup
+export function getCycleEndStatus(load) {
+    return getCurrentStage(load) && load.stageIndex < load.stages.length - 1 ? 'transfer' : 'awaiting-pickup';
+}
+
+// The wash is done and the load waits to be moved to the dryer
+export function awaitTransfer(load, now) {
+    if (load.status !== 'running' || getCycleEndStatus(load) !== 'transfer') return false;
+
+    load.status = 'transfer';
+    getCurrentStage(load).endTime = new Date(now);
+    return true;
+}
+
+export function startNextStage(load, machineId, now) {
+    if (load.status !== 'transfer') return false;
+
+    load.stageIndex++;
+    const stage = getCurrentStage(load);
+    stage.startTime = new Date(now);
+    stage.machineId = machineId;
+    load.machineId = machineId;
+    load.status = 'running';
+    return true;
+}
+
+// The cycle is over; the load now sits in the machine until someone collects it
+export function completeLoad(load, now) {
+    if (!['running', 'paused', 'transfer'].includes(load.status)) return false;
+
+    load.status = 'awaiting-pickup';
+    load.endTime = new Date(now);
+    load.lastReminderAt = null;
+    closePause(load, now);
+
+    const stage = getCurrentStage(load);
+    if (stage && stage.startTime && !stage.endTime) {
+        stage.endTime = load.endTime;
+    }
+    return true;
+}
+
+export function collectLoad(load, now) {
+    if (load.status !== 'awaiting-pickup') return false;
+
+    load.status = 'completed';
+    load.collectedAt = new Date(now);
+    return true;
+}
+
+export function cancelLoad(load, now) {
+    if (!isActiveLoad(load)) return false;
+
+    const started = load.status !== 'scheduled';
+    load.status = 'cancelled';
+    load.endTime = new Date(now);
+    closePause(load, now);
+
+    const stage = getCurrentStage(load);
+    if (started && stage && stage.startTime && !stage.endTime) {
+        stage.endTime = load.endTime;
+    }
+    return true;
+}
+
+// Stored Records
+// What is wrong with the fields given for a new or edited load, by the same rules as
+// isValidLoadRecord, or null. A wash & dry load also needs its drying time.
+export function getLoadFieldsError(fields) {
+    const isDuration = value => Number.isFinite(value) && value > 0;
+
+    if (!LOAD_TYPES.includes(fields.type)) return 'Please choose a load type';
+    if (typeof fields.location !== 'string' || fields.location.length === 0) return 'Please choose a hostel';
+    if (typeof fields.category !== 'string' || fields.category.length === 0) return 'Please choose a category';
+    if (!isDuration(fields.duration)) return 'The duration must be a number of minutes above 0';
+    if (fields.type === 'both' && !isDuration(fields.dryDuration)) return 'The drying time must be a number of minutes above 0';
+    if (fields.notes !== undefined && typeof fields.notes !== 'string') return 'Notes must be text';
+    return null;
+}
+
+export function isValidLoadRecord(record) {
+    const isDate = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+    return !!record && typeof record === 'object' &&
+        typeof record.id === 'string' && record.id.length > 0 &&
+        LOAD_TYPES.includes(record.type) &&
+        typeof record.location === 'string' && record.location.length > 0 &&
+        typeof record.category === 'string' && record.category.length > 0 &&
+        Number.isFinite(record.duration) && record.duration > 0 &&
+        (record.notes === undefined || typeof record.notes === 'string') &&
+        (record.machineId === undefined || record.machineId === null || typeof record.machineId === 'string') &&
+        LOAD_STATUSES.includes(record.status) &&
+        isDate(record.startTime) &&
+        (record.endTime === null || record.endTime === undefined || isDate(record.endTime)) &&
+        Number.isFinite(record.pausedTime) && record.pausedTime >= 0 &&
+        (record.pausedAt === null || record.pausedAt === undefined || isDate(record.pausedAt)) &&
+        (record.status !== 'paused' || isDate(record.pausedAt)) &&
+        (record.snoozedUntil === undefined || record.snoozedUntil === null || isDate(record.snoozedUntil)) &&
+        (record.lastReminderAt === undefined || record.lastReminderAt === null || isDate(record.lastReminderAt)) &&
+        (record.collectedAt === undefined || record.collectedAt === null || isDate(record.collectedAt)) &&
+        (record.updatedAt === undefined || isDate(record.updatedAt)) &&
+        (record.planId === undefined || typeof record.planId === 'string') &&
+        (record.ownerId === undefined || typeof record.ownerId === 'string') &&
+        (record.status !== 'awaiting-pickup' || isDate(record.endTime)) &&
+        (record.stages === undefined || isValidStageList(record));
+}
+
+export function isValidStageList(record) {
+    const isDate = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+    const isOptionalDate = value => value === null || value === undefined || isDate(value);
+
+    return Array.isArray(record.stages) && record.stages.length > 0 &&
+        Number.isInteger(record.stageIndex) && record.stageIndex >= 0 && record.stageIndex < record.stages.length &&
+        record.stages.every(stage => !!stage && typeof stage === 'object' &&
+            STAGE_NAMES.includes(stage.name) &&
+            Number.isFinite(stage.duration) && stage.duration > 0 &&
+            (stage.machineId === null || stage.machineId === undefined || typeof stage.machineId === 'string') &&
+            isOptionalDate(stage.startTime) &&
+            isOptionalDate(stage.endTime) &&
+            Number.isFinite(stage.pausedTime) && stage.pausedTime >= 0);
+}
+
+export function partitionLoadRecords(records) {
+    const valid = [];
+    const rejected = [];
+    const seenIds = new Set();
+
+    records.forEach(record => {
+        if (!isValidLoadRecord(record)) {
+            rejected.push({ record, reason: 'Failed schema validation' });
+        } else if (seenIds.has(record.id)) {
+            rejected.push({ record, reason: 'Duplicate load id' });
+        } else {
+            seenIds.add(record.id);
+            valid.push({ ...record });
+        }
+    });
+
+    return { valid, rejected };
+}
+
+export function reviveLoadDates(load) {
+    load.startTime = new Date(load.startTime);
+    if (load.endTime) load.endTime = new Date(load.endTime);
+    if (load.pausedAt) load.pausedAt = new Date(load.pausedAt);
+    if (load.snoozedUntil) load.snoozedUntil = new Date(load.snoozedUntil);
+    if (load.lastReminderAt) load.lastReminderAt = new Date(load.lastReminderAt);
+    if (load.collectedAt) load.collectedAt = new Date(load.collectedAt);
+    if (load.updatedAt) load.updatedAt = new Date(load.updatedAt);
+    if (Array.isArray(load.stages)) {
+        load.stages = load.stages.map(stage => ({
+            ...stage,
+            startTime: stage.startTime ? new Date(stage.startTime) : null,
+            endTime: stage.endTime ? new Date(stage.endTime) : null
+        }));
+    }
+    return load;
+}
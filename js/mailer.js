@@ -0,0 +1,44 @@
+const MAILBOX_KEY = 'laundryTrackerMailbox';
+const MAX_MAILBOX_MESSAGES = 50;
+
+// Development mailer: keeps the last messages in localStorage and logs them instead of sending
+export class MockMailer {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    async send(message) {
+        const sent = { ...message, sentAt: new Date() };
+        this.storage.setItem(MAILBOX_KEY, JSON.stringify([...this.getSentMessages(), sent].slice(-MAX_MAILBOX_MESSAGES)));
+        console.info(`[mock mailer] to ${message.to}: ${message.subject}`);
+        return sent;
+    }
+
+    getSentMessages() {
+        try {
+            return JSON.parse(this.storage.getItem(MAILBOX_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+// Hands messages to the sync server, which delivers them through its own mailer
+export class HttpMailer {
+    constructor(baseUrl, fetchImpl = (...args) => fetch(...args)) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    async send(message) {
+        const response = await this.fetch(`${this.baseUrl}/api/mail`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message)
+        });
+        if (!response.ok) {
+            throw new Error(`Mail server responded with ${response.status}`);
+        }
+        return response.json();
+    }
+}
@@ -0,0 +1,25 @@
+// Entry point for index.html: starts the tracker and its page, and registers the service worker.
+import { LaundryTracker } from './app.js';
+import { LaundryView } from './view.js';
+
+// Initialize the app when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const tracker = new LaundryTracker();
+    // The view subscribes first so it hears the tracker's first render
+    window.laundryView = new LaundryView(tracker);
+    tracker.start();
+    window.laundryTracker = tracker;
+});
+
+// Service worker registration for offline capability
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                console.log('Service Worker registered');
+                window.laundryTracker.attachServiceWorker(registration);
+                window.laundryView.watchServiceWorkerUpdates(registration);
+            })
+            .catch(() => console.log('Service Worker registration failed'));
+    });
+}
@@ -0,0 +1,81 @@
+// Recurring weekly laundry plans and whether each time they came due was kept. Times are local,
+// like the plan's weekday and time of day; `now` is passed in as milliseconds.
+
+import { LOAD_TYPES, getLoadFieldsError } from './load-state.js';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// A load counts towards a plan if it starts this long before the planned time...
+export const PLAN_EARLY_MS = 3 * 60 * 60 * 1000;
+// ...or up to this long after it; past that the plan is missed
+export const PLAN_GRACE_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Every time the plan came due between from and to, oldest first
+export function getPlanOccurrences(plan, from, to) {
+    const [hours, minutes] = plan.time.split(':').map(Number);
+    const start = new Date(Math.max(from.getTime(), plan.createdAt.getTime()));
+    const occurrence = new Date(start);
+    occurrence.setHours(hours, minutes, 0, 0);
+    occurrence.setDate(occurrence.getDate() + ((plan.weekday - occurrence.getDay() + 7) % 7));
+    if (occurrence < start) {
+        occurrence.setDate(occurrence.getDate() + 7);
+    }
+
+    const occurrences = [];
+    while (occurrence <= to) {
+        occurrences.push(new Date(occurrence));
+        occurrence.setDate(occurrence.getDate() + 7);
+    }
+    return occurrences;
+}
+
+// Loads started from the plan always count; others count if they match its hostel and category
+export function findPlanLoad(plan, occurrence, loads) {
+    const earliest = occurrence.getTime() - PLAN_EARLY_MS;
+    const latest = occurrence.getTime() + PLAN_GRACE_MS;
+    return loads.find(load => load.status !== 'cancelled' && load.ownerId === plan.ownerId &&
+        load.startTime.getTime() >= earliest && load.startTime.getTime() <= latest &&
+        (load.planId === plan.id ||
+            (!load.planId && load.location === plan.location && load.category === plan.category))) || null;
+}
+
+// 'fulfilled', 'upcoming', 'due' (within the grace period) or 'missed'
+export function getOccurrenceState(plan, occurrence, loads, now) {
+    if (findPlanLoad(plan, occurrence, loads)) return 'fulfilled';
+    if (now < occurrence.getTime()) return 'upcoming';
+    return now < occurrence.getTime() + PLAN_GRACE_MS ? 'due' : 'missed';
+}
+
+export function revivePlanDates(plan) {
+    plan.createdAt = new Date(plan.createdAt);
+    if (plan.remindedAt) plan.remindedAt = new Date(plan.remindedAt);
+    return plan;
+}
+
+// What is wrong with the fields given for a new plan, by the same rules as isValidPlan, or null.
+// The name may be left out.
+export function getPlanFieldsError(fields) {
+    const loadError = getLoadFieldsError(fields);
+    if (loadError) return loadError;
+    if (!Number.isInteger(fields.weekday) || fields.weekday < 0 || fields.weekday > 6) return 'Please choose a day of the week';
+    if (typeof fields.time !== 'string' || !TIME_PATTERN.test(fields.time)) return 'Please choose a time';
+    if (fields.name !== undefined && typeof fields.name !== 'string') return 'The name must be text';
+    return null;
+}
+
+export function isValidPlan(record) {
+    return !!record && typeof record === 'object' &&
+        typeof record.id === 'string' && record.id.length > 0 &&
+        typeof record.name === 'string' && record.name.length > 0 &&
+        LOAD_TYPES.includes(record.type) &&
+        typeof record.location === 'string' && record.location.length > 0 &&
+        typeof record.category === 'string' && record.category.length > 0 &&
+        Number.isFinite(record.duration) && record.duration > 0 &&
+        (record.type !== 'both' || (Number.isFinite(record.dryDuration) && record.dryDuration > 0)) &&
+        Number.isInteger(record.weekday) && record.weekday >= 0 && record.weekday <= 6 &&
+        typeof record.time === 'string' && TIME_PATTERN.test(record.time) &&
+        (record.ownerId === undefined || typeof record.ownerId === 'string') &&
+        typeof record.createdAt === 'string' && !isNaN(new Date(record.createdAt).getTime()) &&
+        (record.remindedAt === null || record.remindedAt === undefined ||
+            (typeof record.remindedAt === 'string' && !isNaN(new Date(record.remindedAt).getTime())));
+}
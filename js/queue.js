@@ -0,0 +1,68 @@
+// The per-hostel waiting line for machines. Pure functions over queue entries; the page decides
+// when to notify people and how long a reservation is held.
+
+import { MACHINE_TYPES } from './defaults.js';
+
+export const QUEUE_STATUSES = ['waiting', 'notified', 'claimed', 'expired', 'left'];
+
+export function isQueueEntryActive(entry) {
+    return entry.status === 'waiting' || entry.status === 'notified';
+}
+
+// An empty machine type means the entry will take whichever machine frees up first
+export function queueMatchesType(entryType, machineType) {
+    return !entryType || !machineType || entryType === machineType;
+}
+
+export function getActiveQueue(queue, location) {
+    return queue
+        .filter(entry => entry.location === location && isQueueEntryActive(entry))
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+// Everyone in the entry's hostel waiting for the same kind of machine, oldest first
+export function getQueueLine(queue, entry) {
+    return getActiveQueue(queue, entry.location)
+        .filter(other => queueMatchesType(other.machineType, entry.machineType));
+}
+
+// slots are the working machines as { machine, freeIn } with freeIn in milliseconds, or null for a
+// machine whose finished load is waiting to be collected: nobody can tell when that will be.
+// Returns milliseconds until the entry's turn, or null if it cannot be told: no machine can ever
+// serve it, or its turn comes only once someone collects their clothes.
+export function estimateQueueWait(entry, line, slots) {
+    if (slots.length === 0) return null;
+    const free = slots.map(slot => ({ ...slot }));
+    const freeAt = slot => slot.freeIn === null ? Infinity : slot.freeIn;
+
+    // Everyone ahead takes the machine that frees up first and runs a standard cycle on it
+    for (const other of line) {
+        free.sort((a, b) => freeAt(a) - freeAt(b));
+        if (other === entry) return free[0].freeIn;
+        if (free[0].freeIn !== null) free[0].freeIn += free[0].machine.defaultDuration * 60 * 1000;
+    }
+    return null;
+}
+
+export function reviveQueueEntry(entry) {
+    entry.joinedAt = new Date(entry.joinedAt);
+    entry.updatedAt = new Date(entry.updatedAt);
+    if (entry.notifiedAt) entry.notifiedAt = new Date(entry.notifiedAt);
+    return entry;
+}
+
+export function isValidQueueEntry(record) {
+    const isDate = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+    return !!record && typeof record === 'object' &&
+        typeof record.id === 'string' && record.id.length > 0 &&
+        typeof record.location === 'string' && record.location.length > 0 &&
+        (record.machineType === '' || MACHINE_TYPES.includes(record.machineType)) &&
+        typeof record.name === 'string' && record.name.length > 0 &&
+        typeof record.clientId === 'string' &&
+        QUEUE_STATUSES.includes(record.status) &&
+        isDate(record.joinedAt) &&
+        isDate(record.updatedAt) &&
+        (record.notifiedAt === null || isDate(record.notifiedAt)) &&
+        (record.status !== 'notified' || isDate(record.notifiedAt));
+}
@@ -0,0 +1,111 @@
+// Counting and averaging over lists of loads. Like load-state.js, this never reads the real
+// clock: `now` is passed in, in milliseconds, so results are the same under a fake one.
+
+import { getPickupWait } from './load-state.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same calendar day in local time
+export function isToday(date, now) {
+    return date.toDateString() === new Date(now).toDateString();
+}
+
+// Within the last seven days (a rolling window, not the calendar week), counting from the exact moment
+export function isThisWeek(date, now) {
+    return date.getTime() >= now - 7 * DAY_MS;
+}
+
+// Weeks start on Monday
+export function getWeekStart(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+// Ties go to whichever value appears first in the list
+export function getMostCommon(values) {
+    const frequency = new Map();
+    values.forEach(value => frequency.set(value, (frequency.get(value) || 0) + 1));
+
+    let mostCommon = null;
+    let maxCount = 0;
+    frequency.forEach((count, value) => {
+        if (count > maxCount) {
+            maxCount = count;
+            mostCommon = value;
+        }
+    });
+
+    return mostCommon;
+}
+
+// [value, count] pairs, most frequent first. Values are hostel and category names people type,
+// so they are counted in a Map where "constructor" is just another name.
+export function countValues(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+export function countLoadsByDay(loads, days, now) {
+    const buckets = [];
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    for (let i = days - 1; i >= 0; i--) {
+        const day = new Date(today);
+        day.setDate(today.getDate() - i);
+        buckets.push({
+            key: day.toDateString(),
+            label: new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' }).format(day),
+            value: 0
+        });
+    }
+
+    loads.forEach(load => {
+        const bucket = buckets.find(item => item.key === load.startTime.toDateString());
+        if (bucket) bucket.value++;
+    });
+
+    return buckets;
+}
+
+export function countLoadsByWeek(loads, weeks, now) {
+    const buckets = [];
+    const thisWeek = getWeekStart(new Date(now));
+
+    for (let i = weeks - 1; i >= 0; i--) {
+        const start = new Date(thisWeek);
+        start.setDate(thisWeek.getDate() - i * 7);
+        buckets.push({
+            key: start.getTime(),
+            label: new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' }).format(start),
+            value: 0
+        });
+    }
+
+    loads.forEach(load => {
+        const bucket = buckets.find(item => item.key === getWeekStart(load.startTime).getTime());
+        if (bucket) bucket.value++;
+    });
+
+    return buckets;
+}
+
+// The numbers on the statistics cards; averages are in minutes and null when nothing counts towards them
+export function summarizeLoads(loads, now) {
+    const completedLoads = loads.filter(load => load.status === 'completed');
+    // How long finished loads sat in the machine before being collected
+    const collectedLoads = completedLoads.filter(load => load.collectedAt && load.endTime);
+    const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+    const averageWait = average(collectedLoads.map(load => getPickupWait(load, now)));
+
+    return {
+        total: loads.length,
+        averageDuration: average(completedLoads.map(load => load.duration)),
+        averagePickupWait: averageWait === null ? null : averageWait / 60000,
+        thisWeek: loads.filter(load => isThisWeek(load.startTime, now)).length,
+        mostCommonCategory: getMostCommon(loads.map(load => load.category))
+    };
+}
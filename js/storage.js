@@ -0,0 +1,136 @@
+// Where the app keeps its data, and how data saved by older versions is brought up to date.
+// Both storages are passed in, so anything with the Web Storage methods works, e.g. a Map-backed fake.
+
+import { DEFAULT_CONFIG, DEFAULT_MACHINES, DEFAULT_PROFILE, DEFAULT_SETTINGS } from './defaults.js';
+
+export const STORAGE_KEY = 'laundryTracker';
+export const QUARANTINE_KEY = 'laundryTrackerQuarantine';
+export const MAX_QUARANTINE_ENTRIES = 100;
+export const SCHEMA_VERSION = 9;
+
+// MIGRATIONS[n] upgrades data from schema version n to n + 1
+export const MIGRATIONS = {
+    1: data => ({
+        ...data,
+        loads: data.loads.map(load => (load && typeof load === 'object' ? {
+            notes: '',
+            endTime: null,
+            pausedTime: 0,
+            pausedAt: null,
+            ...load
+        } : load))
+    }),
+    2: data => ({
+        ...data,
+        machines: DEFAULT_MACHINES.map(machine => ({ ...machine, outOfOrder: false }))
+    }),
+    3: data => ({
+        ...data,
+        settings: { ...DEFAULT_SETTINGS, ...data.settings }
+    }),
+    4: data => {
+        // Keep any hostel or category the loads already use, even if it is not a default
+        const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+        const addMissing = (entries, ids) => ids.forEach(id => {
+            if (typeof id === 'string' && id && !entries.some(entry => entry.id === id)) {
+                entries.push({ id: id, name: id.charAt(0).toUpperCase() + id.slice(1), archived: true });
+            }
+        });
+        const loads = data.loads.filter(load => load && typeof load === 'object');
+        addMissing(config.hostels, loads.map(load => load.location));
+        addMissing(config.categories, loads.map(load => load.category));
+        return { ...data, config: config };
+    },
+    5: data => ({
+        ...data,
+        queue: []
+    }),
+    6: data => ({
+        ...data,
+        subscriptions: []
+    }),
+    7: data => ({
+        ...data,
+        plans: []
+    }),
+    8: data => ({
+        ...data,
+        profiles: [{ ...DEFAULT_PROFILE }],
+        loads: data.loads.map(load => (load && typeof load === 'object' ? { ownerId: DEFAULT_PROFILE.id, ...load } : load)),
+        plans: (data.plans || []).map(plan => (plan && typeof plan === 'object' ? { ownerId: DEFAULT_PROFILE.id, ...plan } : plan))
+    })
+};
+
+export function getSchemaVersion(version) {
+    // Blobs written before versioning have no schemaVersion; exports carry it as 'N.0'
+    const parsed = parseInt(version, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : 1;
+}
+
+export function migrateData(data, fromVersion) {
+    let migrated = { ...data, loads: Array.isArray(data.loads) ? data.loads : [] };
+
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        migrated = MIGRATIONS[version](migrated);
+    }
+
+    migrated.schemaVersion = Math.max(fromVersion, SCHEMA_VERSION);
+    return migrated;
+}
+
+export function isQuotaError(error) {
+    return error instanceof DOMException &&
+        (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+export class StorageAdapter {
+    constructor(local = globalThis.localStorage, session = globalThis.sessionStorage) {
+        this.local = local;
+        this.session = session;
+    }
+
+    read() {
+        // A session copy only exists when the last save hit the storage quota, so it is the newer one
+        return this.session.getItem(STORAGE_KEY) || this.local.getItem(STORAGE_KEY);
+    }
+
+    // Returns 'local', or 'session' when local storage is full and the data only lasts until the tab
+    // closes. Throws if it could not be saved anywhere.
+    write(data) {
+        try {
+            this.writeLocal(data);
+            return 'local';
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+        }
+
+        // Quarantined records are only kept for diagnosis, so they are the first thing to go
+        try {
+            this.local.removeItem(QUARANTINE_KEY);
+            this.writeLocal(data);
+            return 'local';
+        } catch (error) {
+            console.warn('Storage still full after clearing quarantine:', error);
+        }
+
+        this.session.setItem(STORAGE_KEY, data);
+        return 'session';
+    }
+
+    writeLocal(data) {
+        this.local.setItem(STORAGE_KEY, data);
+        this.session.removeItem(STORAGE_KEY);
+    }
+
+    quarantine(entries, now) {
+        try {
+            const quarantine = JSON.parse(this.local.getItem(QUARANTINE_KEY) || '[]');
+            entries.forEach(entry => {
+                quarantine.push({ ...entry, schemaVersion: SCHEMA_VERSION, quarantinedAt: new Date(now) });
+            });
+            this.local.setItem(QUARANTINE_KEY, JSON.stringify(quarantine.slice(-MAX_QUARANTINE_ENTRIES)));
+        } catch (error) {
+            console.error('Error quarantining records:', error);
+        }
+    }
+}
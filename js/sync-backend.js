@@ -0,0 +1,31 @@
+// Talks to server/sync-server.js. Anything with the same pull/push methods can be plugged in instead.
+export class RestSyncBackend {
+    constructor(baseUrl, fetchImpl = (...args) => fetch(...args)) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    pull(hostelId, since) {
+        return this.request(`${this.getChangesUrl(hostelId)}?since=${encodeURIComponent(since)}`);
+    }
+
+    push(hostelId, changes) {
+        return this.request(this.getChangesUrl(hostelId), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes: changes })
+        });
+    }
+
+    getChangesUrl(hostelId) {
+        return `${this.baseUrl}/api/hostels/${encodeURIComponent(hostelId)}/changes`;
+    }
+
+    async request(url, options = {}) {
+        const response = await this.fetch(url, { ...options, cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Sync server responded with ${response.status}`);
+        }
+        return response.json();
+    }
+}
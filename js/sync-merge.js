@@ -0,0 +1,78 @@
+// Folding records pulled from the sync server into local state. Each function handles one
+// record and reports what changed; notifying, saving and redrawing stay with the app.
+
+import { isActiveLoad, isValidLoadRecord, reviveLoadDates } from './load-state.js';
+import { isValidQueueEntry, reviveQueueEntry } from './queue.js';
+
+// Last write wins; records without a timestamp count as oldest
+export function isNewerRecord(remote, local) {
+    return new Date(remote.updatedAt) > new Date(local.updatedAt || 0);
+}
+
+// How long past its expected finish another device's load still holds its machine without word from
+// that device. After that the owner has most likely closed the app, so the machine counts as free.
+export const REMOTE_LOAD_GRACE_MS = 2 * 60 * 60 * 1000;
+
+// The finish is worked out from what the record last said; time spent in an unfinished pause
+// is not counted, so a load paused on a device that went quiet goes stale too.
+export function isStaleRemoteLoad(load, now) {
+    const expectedEnd = load.endTime
+        ? load.endTime.getTime()
+        : load.startTime.getTime() + load.pausedTime + load.duration * 60 * 1000;
+    const lastHeard = load.updatedAt ? load.updatedAt.getTime() : 0;
+    return now > Math.max(expectedEnd, lastHeard) + REMOTE_LOAD_GRACE_MS;
+}
+
+// Another device's load. Only active ones are kept; freedMachineId is set when the record
+// shows its owner took the load out of a machine (or moved it to a dryer), finishedLoad when
+// its cycle has just ended and the clothes wait in the machine.
+export function mergeRemoteLoad(remoteLoads, record) {
+    const previous = remoteLoads.find(load => load.id === record.id);
+    const merged = remoteLoads.filter(load => load !== previous);
+    let current = null;
+
+    if (!record.deleted && isValidLoadRecord(record) && isActiveLoad(record)) {
+        current = reviveLoadDates({ ...record });
+        merged.push(current);
+    }
+
+    const freed = previous && previous.machineId && (!current || current.machineId !== previous.machineId);
+    const waiting = load => load.status === 'transfer' || load.status === 'awaiting-pickup';
+    const finished = previous && current && !waiting(previous) && waiting(current);
+    return { remoteLoads: merged, freedMachineId: freed ? previous.machineId : null, finishedLoad: finished ? current : null };
+}
+
+// The server copy of one of our own loads only wins when it is newer, e.g. after a restore
+// elsewhere. Returns the load to put in its place, or null to keep ours. Notes never leave
+// the device, so the local ones are kept.
+export function mergeOwnRemoteLoad(local, record) {
+    if (!local || record.deleted || !isValidLoadRecord(record) || !isNewerRecord(record, local)) return null;
+
+    const { clientId, ownerName, ...fields } = record;
+    return reviveLoadDates({ ...fields, notes: local.notes });
+}
+
+// Only the out-of-order flag of a machine is shared
+export function mergeRemoteMachine(machine, record) {
+    if (!machine || typeof record.outOfOrder !== 'boolean' || !isNewerRecord(record, machine)) return false;
+
+    machine.outOfOrder = record.outOfOrder;
+    machine.updatedAt = new Date(record.updatedAt);
+    return true;
+}
+
+// Returns null when the record is invalid or older than ours; `notified` is set when the
+// entry has just been called up, so the app can announce it.
+export function mergeRemoteQueueEntry(queue, record) {
+    if (!isValidQueueEntry(record)) return null;
+
+    const local = queue.find(entry => entry.id === record.id);
+    if (local && !isNewerRecord(record, local)) return null;
+
+    const entry = reviveQueueEntry({ ...record });
+    return {
+        queue: [...queue.filter(item => item.id !== entry.id), entry],
+        entry: entry,
+        notified: entry.status === 'notified' && (!local || local.status !== 'notified')
+    };
+}
@@ -0,0 +1,66 @@
+// One ticking loop for every running load. Ticks land on whole wall-clock seconds and
+// callers recompute state from timestamps, so a throttled or sleeping tab simply catches
+// up on its next tick. The loop stops itself when nothing is scheduled.
+export class TimerScheduler {
+    constructor(onTick, clock = {}) {
+        this.onTick = onTick;
+        this.now = clock.now || (() => Date.now());
+        this.setTimer = clock.setTimer || ((callback, delay) => setTimeout(callback, delay));
+        this.clearTimer = clock.clearTimer || (handle => clearTimeout(handle));
+        this.ids = new Set();
+        this.handle = null;
+    }
+
+    add(id) {
+        this.ids.add(id);
+        this.ensureRunning();
+    }
+
+    remove(id) {
+        this.ids.delete(id);
+        if (this.ids.size === 0) this.stop();
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    isRunning() {
+        return this.handle !== null;
+    }
+
+    ensureRunning() {
+        if (this.handle !== null || this.ids.size === 0) return;
+
+        // The remainder is always in (0, 1000], even after the clock jumps backwards
+        const delay = 1000 - (((this.now() % 1000) + 1000) % 1000);
+        this.handle = this.setTimer(() => this.tick(), delay);
+    }
+
+    tick() {
+        this.handle = null;
+        this.onTick([...this.ids], this.now());
+        this.ensureRunning();
+    }
+
+    // Tick immediately instead of waiting for the next second
+    flush() {
+        if (this.ids.size === 0) return;
+        this.stop();
+        this.tick();
+    }
+
+    stop() {
+        if (this.handle !== null) {
+            this.clearTimer(this.handle);
+            this.handle = null;
+        }
+    }
+}
+
+// What the app uses when no other clock is passed in; tests can hand over a fake with the same methods
+export const systemClock = {
+    now: () => Date.now(),
+    setTimer: (callback, delay) => setTimeout(callback, delay),
+    clearTimer: handle => clearTimeout(handle)
+};
@@ -0,0 +1,1954 @@
+// The page: everything that reads forms, renders into the document, shows toasts and runs
+// dialogs. LaundryTracker (app.js) owns the state and rules; this view hands it plain values
+// and redraws whatever part of the page each of its change events names.
+import * as LoadState from './load-state.js';
+import { SUBSCRIPTION_EVENTS } from './app.js';
+import { capitalizeFirst, formatDateTime, formatTime, toDateTimeInputValue } from './format.js';
+import { DEFAULT_HISTORY_FILTERS, filterLoads, parseHistoryFilters, sortLoads } from './history.js';
+import * as Plans from './plans.js';
+import * as Queue from './queue.js';
+import { countLoadsByDay, countLoadsByWeek, countValues, isToday, summarizeLoads } from './stats.js';
+
+// Screen readers hear a running timer at these points (minutes left) instead of every second
+const TIMER_ANNOUNCE_MINUTES = [10, 5, 1];
+// Live region messages are removed again after this long so the regions do not grow forever
+const ANNOUNCEMENT_CLEAR_MS = 5000;
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const PLAN_HISTORY_WEEKS = 4;
+
+// Each status only offers the actions that make sense for it; keyboard shortcuts follow the same list
+const LOAD_ACTIONS = {
+    'scheduled': ['edit-btn', 'cancel-btn'],
+    'running': ['complete-btn', 'pause-btn', 'edit-btn', 'cancel-btn'],
+    'paused': ['complete-btn', 'pause-btn', 'edit-btn', 'cancel-btn'],
+    'transfer': ['transfer-btn', 'complete-btn', 'edit-btn', 'cancel-btn'],
+    'awaiting-pickup': ['collect-btn', 'edit-btn'],
+    'completed': ['edit-btn', 'delete-btn'],
+    'cancelled': ['edit-btn', 'delete-btn']
+};
+const HISTORY_PAGE_SIZE = 10;
+
+export class LaundryView {
+    // Build it before tracker.start() so it hears the first full render
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.readHistoryFiltersFromUrl();
+        // Last timer milestone announced per load, and what to focus when each dialog closes
+        this.timerMilestones = new Map();
+        this.modalTriggers = new Map();
+        // The PIN that unlocked the profile whose PIN dialog is open
+        this.currentPin = '';
+
+        this.bindEvents();
+        tracker.subscribe((type, detail) => this.handleTrackerEvent(type, detail));
+    }
+
+    handleTrackerEvent(type, detail) {
+        if (type === 'change') {
+            this.render(detail.part);
+        } else if (type === 'notify') {
+            this.showNotification(detail.message, detail.type, detail.action, detail.priority);
+        } else if (type === 'tick') {
+            this.updateTimers(detail.loadIds);
+        }
+    }
+
+    // part says what changed, so a queue refresh every minute does not rebuild the settings being edited
+    render(part) {
+        if (part === 'all') {
+            this.refreshConfigViews();
+            this.populateSyncForm();
+            this.populateProfileSelect();
+            document.getElementById('pickup-reminder-interval').value = this.tracker.settings.pickupReminderMinutes;
+            document.getElementById('queue-grace').value = this.tracker.settings.queueGraceMinutes;
+            this.updateStageFields();
+            this.updateStartFields();
+            this.updatePlanStageFields();
+            this.updateDisplay();
+            this.renderSyncStatus();
+        } else if (part === 'config') {
+            this.refreshConfigViews();
+            this.updateDisplay();
+        } else if (part === 'profiles') {
+            this.populateProfileSelect();
+            this.renderProfiles();
+            this.updateDisplay();
+        } else if (part === 'queue') {
+            this.renderQueue();
+        } else if (part === 'plans') {
+            this.renderPlans();
+            this.updateStats();
+        } else if (part === 'subscriptions') {
+            this.renderSubscriptions();
+        } else if (part === 'sync') {
+            this.renderSyncStatus();
+        } else {
+            this.updateDisplay();
+        }
+    }
+
+    // Event Binding
+    bindEvents() {
+        // Form submission
+        document.getElementById('add-load-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.tracker.addLoad(this.readLoadForm())) {
+                this.resetLoadForm();
+            }
+        });
+
+        // Machine choices depend on the hostel and load type
+        document.getElementById('load-location').addEventListener('change', () => {
+            this.populateMachineOptions();
+        });
+
+        document.getElementById('load-start-mode').addEventListener('change', () => this.updateStartFields());
+
+        document.getElementById('load-type').addEventListener('change', () => {
+            this.updateStageFields();
+            this.populateMachineOptions();
+        });
+
+        document.getElementById('load-machine').addEventListener('change', (e) => {
+            const machine = this.tracker.getMachine(e.target.value);
+            // A chosen preset's duration wins over the machine's standard cycle
+            if (machine && !document.getElementById('load-preset').value) {
+                document.getElementById('duration').value = machine.defaultDuration;
+            }
+        });
+
+        document.getElementById('load-preset').addEventListener('change', (e) => {
+            this.applyPreset(e.target.value);
+        });
+
+        document.getElementById('pickup-reminder-interval').addEventListener('change', (e) => {
+            this.tracker.setPickupReminderMinutes(parseInt(e.target.value));
+        });
+
+        // Profiles
+        document.getElementById('profile-select').addEventListener('change', (e) => {
+            this.switchProfile(e.target.value);
+        });
+
+        document.getElementById('active-scope').addEventListener('change', (e) => {
+            this.tracker.setActiveLoadScope(e.target.value);
+        });
+
+        document.getElementById('manage-profiles-btn').addEventListener('click', () => {
+            document.getElementById('profile-error').textContent = '';
+            this.renderProfiles();
+            this.openModal(document.getElementById('profile-dialog'));
+        });
+
+        document.getElementById('add-profile-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addProfile(document.getElementById('new-profile-name').value.trim(), document.getElementById('new-profile-pin').value);
+        });
+
+        document.getElementById('profile-list').addEventListener('change', (e) => {
+            const item = e.target.closest('.profile-item');
+            if (item && e.target.classList.contains('config-name')) {
+                this.renameProfile(item.dataset.profileId, e.target.value.trim());
+            }
+        });
+
+        document.getElementById('profile-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.profile-item');
+            if (item && e.target.closest('.profile-remove-btn')) {
+                this.removeProfile(item.dataset.profileId);
+            } else if (item && e.target.closest('.profile-pin-btn')) {
+                this.openSetPinDialog(item.dataset.profileId);
+            }
+        });
+
+        document.getElementById('profile-close-btn').addEventListener('click', () => {
+            document.getElementById('profile-dialog').close();
+        });
+
+        document.getElementById('pin-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.checkPin();
+        });
+
+        document.getElementById('pin-cancel-btn').addEventListener('click', () => {
+            document.getElementById('pin-dialog').close();
+        });
+
+        document.getElementById('set-pin-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfilePin();
+        });
+
+        document.getElementById('set-pin-cancel-btn').addEventListener('click', () => {
+            document.getElementById('set-pin-dialog').close();
+        });
+
+        // Laundry plans
+        document.getElementById('add-plan-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.tracker.addPlan(this.readPlanForm())) {
+                document.getElementById('add-plan-form').reset();
+                this.updatePlanStageFields();
+            }
+        });
+
+        document.getElementById('plan-type').addEventListener('change', () => this.updatePlanStageFields());
+
+        document.getElementById('plans-container').addEventListener('click', (e) => {
+            const item = e.target.closest('.plan-item');
+            if (!item) return;
+
+            if (e.target.closest('.start-plan-btn')) {
+                this.tracker.startPlan(item.dataset.planId);
+            } else if (e.target.closest('.delete-plan-btn')) {
+                const plan = this.tracker.plans.find(entry => entry.id === item.dataset.planId);
+                if (!plan) return;
+                this.confirmAction('Delete plan?', `${plan.name} and its reminders will be removed.`, 'Delete')
+                    .then(confirmed => confirmed && this.tracker.deletePlan(plan.id));
+            }
+        });
+
+        // Machine queue
+        document.getElementById('join-queue-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.tracker.joinQueue({
+                location: document.getElementById('queue-location').value,
+                machineType: document.getElementById('queue-machine-type').value,
+                name: document.getElementById('queue-name').value.trim()
+            });
+        });
+
+        document.getElementById('queue-container').addEventListener('click', (e) => {
+            const button = e.target.closest('.leave-queue-btn');
+            if (button) {
+                this.tracker.leaveQueue(button.closest('.queue-item').dataset.entryId);
+            }
+        });
+
+        document.getElementById('queue-grace').addEventListener('change', (e) => {
+            this.tracker.setQueueGraceMinutes(parseInt(e.target.value));
+        });
+
+        // Machine board actions
+        document.getElementById('machine-board').addEventListener('click', (e) => {
+            const button = e.target.closest('.machine-service-btn');
+            if (button) {
+                this.tracker.toggleMachineOutOfOrder(button.closest('.machine-tile').dataset.machineId);
+            }
+        });
+
+        // Settings panel
+        document.getElementById('add-hostel-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.tracker.addHostel(
+                document.getElementById('new-hostel-name').value,
+                parseInt(document.getElementById('new-hostel-washers').value) || 0,
+                parseInt(document.getElementById('new-hostel-dryers').value) || 0
+            );
+            e.target.reset();
+        });
+
+        document.getElementById('add-category-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.tracker.addCategory(document.getElementById('new-category-name').value);
+            e.target.reset();
+        });
+
+        document.getElementById('add-preset-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.tracker.addPreset(
+                document.getElementById('new-preset-name').value,
+                document.getElementById('new-preset-type').value,
+                parseInt(document.getElementById('new-preset-duration').value),
+                parseInt(document.getElementById('new-preset-dry-duration').value)
+            );
+            e.target.reset();
+        });
+
+        document.getElementById('sync-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.tracker.saveSyncSettings({
+                url: document.getElementById('sync-url').value.trim(),
+                hostel: document.getElementById('sync-hostel').value,
+                name: document.getElementById('sync-name').value.trim()
+            });
+        });
+
+        const settingsPanels = document.getElementById('settings-panels');
+        settingsPanels.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('config-name')) return;
+            const item = e.target.closest('.config-item');
+            this.tracker.renameConfigEntry(item.closest('.config-list').dataset.list, item.dataset.id, e.target.value);
+        });
+
+        settingsPanels.addEventListener('click', (e) => {
+            const button = e.target.closest('.config-remove-btn');
+            if (!button) return;
+            const item = button.closest('.config-item');
+            this.tracker.removeConfigEntry(item.closest('.config-list').dataset.list, item.dataset.id);
+        });
+
+        // History actions
+        document.getElementById('clear-history-btn').addEventListener('click', (e) => {
+            this.tracker.clearHistory(e.detail === 0);
+        });
+
+        // History filters
+        document.getElementById('history-filters').addEventListener('input', (e) => {
+            const key = e.target.dataset.filter;
+            if (!key) return;
+
+            this.historyFilters[key] = e.target.value;
+            this.historyFilters.page = 1;
+            this.writeHistoryFiltersToUrl();
+            this.renderHistory();
+            this.updateStats();
+        });
+
+        document.getElementById('history-reset-btn').addEventListener('click', () => {
+            this.historyFilters = { ...DEFAULT_HISTORY_FILTERS };
+            this.populateHistoryFilterOptions();
+            this.writeHistoryFiltersToUrl();
+            this.renderHistory();
+            this.updateStats();
+        });
+
+        document.getElementById('history-prev-btn').addEventListener('click', () => {
+            this.changeHistoryPage(-1);
+        });
+
+        document.getElementById('history-next-btn').addEventListener('click', () => {
+            this.changeHistoryPage(1);
+        });
+
+        document.getElementById('export-data-btn').addEventListener('click', () => {
+            this.openModal(document.getElementById('export-dialog'));
+        });
+
+        document.getElementById('export-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.downloadFile(this.tracker.exportData({
+                format: document.getElementById('export-format').value,
+                from: document.getElementById('export-from').value,
+                to: document.getElementById('export-to').value,
+                status: document.getElementById('export-status').value
+            }));
+            document.getElementById('export-dialog').close();
+        });
+
+        document.getElementById('export-cancel-btn').addEventListener('click', () => {
+            document.getElementById('export-dialog').close();
+        });
+
+        document.getElementById('import-data-btn').addEventListener('click', () => {
+            document.getElementById('import-file').click();
+        });
+
+        document.getElementById('import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-importing the same file
+            if (!file) return;
+
+            const mode = document.getElementById('import-mode').value;
+            if (mode === 'replace' && !await this.confirmAction(`Replace ${this.tracker.getActiveProfile().name}'s loads?`,
+                `Every load in this profile will be replaced by the loads in ${file.name}. This cannot be undone.`, 'Replace')) {
+                return;
+            }
+            this.tracker.importData(file, mode);
+        });
+
+        // Edit dialog
+        document.getElementById('edit-load-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveLoadEdit();
+        });
+
+        document.getElementById('edit-cancel-btn').addEventListener('click', () => {
+            document.getElementById('edit-load-dialog').close();
+        });
+
+        // Email subscriptions
+        document.getElementById('notify-me-btn').addEventListener('click', () => {
+            this.openSubscribeDialog();
+        });
+
+        document.getElementById('subscribe-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSubscription();
+        });
+
+        document.getElementById('subscribe-cancel-btn').addEventListener('click', () => {
+            document.getElementById('subscribe-dialog').close();
+        });
+
+        document.getElementById('subscription-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.subscription-item');
+            if (!item) return;
+
+            const subscription = this.tracker.subscriptions.find(entry => entry.id === item.dataset.subscriptionId);
+            if (e.target.closest('.unsubscribe-btn')) {
+                this.tracker.unsubscribe(item.dataset.subscriptionId);
+            } else if (e.target.closest('.subscription-edit-btn') && subscription) {
+                this.openSubscribeDialog(subscription.email);
+            }
+        });
+
+        // The PNG logo is optional (see assets/README.md); the CSP rules out an inline onerror, so fall back here
+        const logo = document.querySelector('.nav-logo');
+        const useSvgLogo = () => {
+            logo.src = 'assets/ait-pune-logo.svg';
+        };
+        logo.addEventListener('error', useSvgLogo, { once: true });
+        if (logo.complete && logo.naturalWidth === 0) {
+            useSvgLogo();
+        }
+
+        // Every dialog keeps Tab inside itself and hands focus back when it closes
+        document.querySelectorAll('dialog.modal').forEach(dialog => {
+            dialog.addEventListener('keydown', (e) => this.trapFocus(e, dialog));
+            dialog.addEventListener('close', () => this.restoreModalFocus(dialog));
+        });
+
+        // Load cards can be focused and driven from the keyboard
+        document.addEventListener('keydown', (e) => this.handleLoadCardKeydown(e));
+
+        // Load actions delegation
+        document.addEventListener('click', (e) => {
+            // Clicks on a button's icon should count as clicks on the button
+            const target = e.target.closest('.btn') || e.target;
+            const loadItem = target.closest('.load-item');
+            
+            if (!loadItem) return;
+            
+            const loadId = loadItem.dataset.loadId;
+            const load = this.tracker.loads.find(l => l.id === loadId);
+            
+            if (!load || !this.tracker.isOwnLoad(load)) return;
+
+            // Enter or Space on a button fires a click with no click count
+            const fromKeyboard = e.detail === 0;
+
+            if (target.classList.contains('complete-btn')) {
+                this.tracker.completeLoad(loadId);
+            } else if (target.classList.contains('collect-btn')) {
+                this.tracker.collectLoad(loadId);
+            } else if (target.classList.contains('transfer-btn')) {
+                this.tracker.confirmTransfer(loadId);
+            } else if (target.classList.contains('pause-btn')) {
+                this.tracker.togglePauseLoad(loadId);
+            } else if (target.classList.contains('cancel-btn')) {
+                this.tracker.cancelLoad(loadId, fromKeyboard);
+            } else if (target.classList.contains('edit-btn')) {
+                this.openEditDialog(loadId);
+            } else if (target.classList.contains('delete-btn')) {
+                this.tracker.deleteLoad(loadId, fromKeyboard);
+            }
+        });
+
+        // Background tabs get their timers throttled, so catch up as soon as the tab is visible again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.tracker.resume();
+        });
+        window.addEventListener('online', () => this.tracker.syncNow());
+    }
+
+    // Forms
+    // The add-load form's values, in the shape LaundryTracker.addLoad takes
+    readLoadForm() {
+        return {
+            type: document.getElementById('load-type').value,
+            location: document.getElementById('load-location').value,
+            machineId: document.getElementById('load-machine').value || null,
+            category: document.getElementById('load-category').value,
+            duration: parseInt(document.getElementById('duration').value),
+            dryDuration: parseInt(document.getElementById('dry-duration').value),
+            notes: document.getElementById('load-notes').value.trim(),
+            startMode: document.getElementById('load-start-mode').value,
+            startAt: document.getElementById('load-start-time').value
+        };
+    }
+
+    resetLoadForm() {
+        document.getElementById('add-load-form').reset();
+        document.getElementById('duration').value = 30; // Reset to default
+        document.getElementById('dry-duration').value = 40;
+        this.updateStageFields();
+        this.updateStartFields();
+        this.populateMachineOptions();
+    }
+
+    readPlanForm() {
+        return {
+            name: document.getElementById('plan-name').value.trim(),
+            type: document.getElementById('plan-type').value,
+            location: document.getElementById('plan-location').value,
+            category: document.getElementById('plan-category').value,
+            duration: parseInt(document.getElementById('plan-duration').value),
+            dryDuration: parseInt(document.getElementById('plan-dry-duration').value),
+            weekday: parseInt(document.getElementById('plan-weekday').value),
+            time: document.getElementById('plan-time').value
+        };
+    }
+
+    updateStartFields() {
+        const mode = document.getElementById('load-start-mode').value;
+        const input = document.getElementById('load-start-time');
+        document.getElementById('load-start-time-group').style.display = mode === 'now' ? 'none' : '';
+        document.getElementById('load-start-time-label').textContent = mode === 'finish-by' ? 'Done by' : 'Start at';
+        input.required = mode !== 'now';
+        if (mode !== 'now' && !input.value) {
+            input.value = toDateTimeInputValue(new Date(this.tracker.now() + 60 * 60 * 1000));
+        }
+    }
+
+    updateStageFields() {
+        const isStaged = document.getElementById('load-type').value === 'both';
+        const dryGroup = document.getElementById('dry-duration-group');
+        dryGroup.style.display = isStaged ? '' : 'none';
+        document.getElementById('dry-duration').required = isStaged;
+        document.getElementById('duration-label').textContent = isStaged ? 'Wash duration (minutes)' : 'Duration (minutes)';
+    }
+
+    populateMachineOptions() {
+        const select = document.getElementById('load-machine');
+        const location = document.getElementById('load-location').value;
+        const loadType = document.getElementById('load-type').value;
+        const previous = select.value;
+
+        select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
+        const machineType = this.tracker.getMachineTypeForLoad(loadType);
+        this.tracker.getMachinesForLocation(location)
+            .filter(machine => !loadType || machine.type === machineType)
+            .forEach(machine => {
+                const option = document.createElement('option');
+                const state = this.tracker.getMachineState(machine);
+                option.value = machine.id;
+                option.textContent = state === 'free' ? machine.name : `${machine.name} (${state})`;
+                option.disabled = state !== 'free';
+                select.appendChild(option);
+            });
+
+        const stillAvailable = [...select.options].some(option => option.value === previous && !option.disabled);
+        select.value = stillAvailable ? previous : '';
+        select.disabled = select.options.length <= 1;
+    }
+
+    // Laundry Plans
+    updatePlanStageFields() {
+        const isStaged = document.getElementById('plan-type').value === 'both';
+        document.getElementById('plan-dry-duration-group').style.display = isStaged ? '' : 'none';
+        document.getElementById('plan-dry-duration').required = isStaged;
+    }
+
+    renderPlans() {
+        const container = document.getElementById('plans-container');
+        container.querySelectorAll('.plan-item').forEach(item => item.remove());
+        const plans = this.tracker.plans.filter(plan => plan.ownerId === this.tracker.settings.activeProfileId);
+        document.getElementById('no-plans').style.display = plans.length === 0 ? 'block' : 'none';
+
+        const now = new Date(this.tracker.now());
+        const since = new Date(now.getTime() - PLAN_HISTORY_WEEKS * 7 * 24 * 60 * 60 * 1000);
+
+        plans.forEach(plan => {
+            const element = document.getElementById('plan-item-template').content.cloneNode(true);
+            element.querySelector('.plan-item').dataset.planId = plan.id;
+            element.querySelector('.plan-name').textContent = plan.name;
+
+            const durations = plan.type === 'both' ? `${plan.duration}m + ${plan.dryDuration}m` : `${plan.duration}m`;
+            element.querySelector('.plan-meta').textContent = [
+                this.tracker.describePlanTime(plan),
+                this.tracker.getLocationName(plan.location),
+                this.tracker.getCategoryName(plan.category),
+                `${capitalizeFirst(plan.type)} ${durations}`
+            ].join(' · ');
+
+            const history = element.querySelector('.plan-history');
+            const occurrences = Plans.getPlanOccurrences(plan, since, now);
+            if (occurrences.length === 0) {
+                history.textContent = 'Not due yet';
+            }
+            occurrences.forEach(occurrence => {
+                const state = Plans.getOccurrenceState(plan, occurrence, this.tracker.loads, now.getTime());
+                const load = Plans.findPlanLoad(plan, occurrence, this.tracker.loads);
+                const chip = this.createElement('span', {
+                    className: `plan-occurrence ${state}`,
+                    text: `${new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' }).format(occurrence)} · ${state}`
+                });
+                chip.title = load
+                    ? `Started ${formatDateTime(load.startTime)} at ${this.tracker.getLocationName(load.location)}`
+                    : `Due ${formatDateTime(occurrence)}`;
+                history.appendChild(chip);
+            });
+
+            container.appendChild(element);
+        });
+    }
+
+    // Profiles
+    // Resolves with the profile's PIN once it has been typed right, '' for a profile without one,
+    // or null if the prompt is dismissed
+    unlockProfile(profile) {
+        if (!profile.pinHash) return Promise.resolve('');
+
+        const dialog = document.getElementById('pin-dialog');
+        const input = document.getElementById('pin-input');
+        dialog.dataset.profileId = profile.id;
+        document.getElementById('pin-title').textContent = `Enter ${profile.name}'s PIN`;
+        input.value = '';
+        document.getElementById('pin-error').textContent = '';
+        dialog.returnValue = '';
+
+        return new Promise(resolve => {
+            dialog.addEventListener('close', () => resolve(dialog.returnValue === 'unlocked' ? input.value : null), { once: true });
+            this.openModal(dialog, input);
+        });
+    }
+
+    checkPin() {
+        const dialog = document.getElementById('pin-dialog');
+        const profile = this.tracker.profiles.find(item => item.id === dialog.dataset.profileId);
+        const pin = document.getElementById('pin-input').value;
+
+        if (profile && this.tracker.isPinCorrect(profile, pin)) {
+            dialog.close('unlocked');
+            return;
+        }
+        document.getElementById('pin-error').textContent = 'Wrong PIN';
+        document.getElementById('pin-input').select();
+    }
+
+    addProfile(name, pin) {
+        const error = this.tracker.getNewProfileError(name, pin);
+        document.getElementById('profile-error').textContent = error || '';
+        if (error) return;
+
+        document.getElementById('add-profile-form').reset();
+        this.tracker.addProfile(name, pin);
+    }
+
+    async renameProfile(profileId, name) {
+        const profile = this.tracker.profiles.find(item => item.id === profileId);
+        const pin = profile && name && name !== profile.name ? await this.unlockProfile(profile) : '';
+        if (pin === null) {
+            this.renderProfiles();
+            return;
+        }
+        this.tracker.renameProfile(profileId, name, pin);
+    }
+
+    // Profiles that cannot be removed anyway are turned down before anyone is asked for a PIN
+    async removeProfile(profileId) {
+        const profile = this.tracker.profiles.find(item => item.id === profileId);
+        if (!profile) return;
+
+        const pin = this.tracker.getProfileRemovalError(profileId) ? '' : await this.unlockProfile(profile);
+        if (pin === null) return;
+        this.tracker.removeProfile(profileId, pin);
+    }
+
+    async switchProfile(profileId) {
+        const profile = this.tracker.profiles.find(item => item.id === profileId);
+        if (!profile || profileId === this.tracker.settings.activeProfileId) return;
+
+        const pin = await this.unlockProfile(profile);
+        if (pin === null) {
+            this.populateProfileSelect();
+            return;
+        }
+        this.tracker.switchProfile(profileId, pin);
+    }
+
+    // Changing or removing a PIN needs the current one first
+    async openSetPinDialog(profileId) {
+        const profile = this.tracker.profiles.find(item => item.id === profileId);
+        if (!profile) return;
+        const pin = await this.unlockProfile(profile);
+        if (pin === null) return;
+
+        const dialog = document.getElementById('set-pin-dialog');
+        dialog.dataset.profileId = profile.id;
+        this.currentPin = pin;
+        document.getElementById('set-pin-title').textContent = profile.pinHash ? `Change ${profile.name}'s PIN` : `Set a PIN for ${profile.name}`;
+        document.getElementById('new-pin-input').value = '';
+        document.getElementById('repeat-pin-input').value = '';
+        document.getElementById('set-pin-error').textContent = '';
+        this.openModal(dialog, document.getElementById('new-pin-input'));
+    }
+
+    // An empty PIN removes it
+    saveProfilePin() {
+        const dialog = document.getElementById('set-pin-dialog');
+        const pin = document.getElementById('new-pin-input').value;
+        const error = this.tracker.getPinError(pin) ||
+            (pin !== document.getElementById('repeat-pin-input').value ? 'The PINs do not match' : null);
+        document.getElementById('set-pin-error').textContent = error || '';
+        if (error) return;
+
+        if (this.tracker.setProfilePin(dialog.dataset.profileId, pin, this.currentPin)) {
+            dialog.close();
+        }
+    }
+
+    populateProfileSelect() {
+        const select = document.getElementById('profile-select');
+        select.querySelectorAll('option').forEach(option => option.remove());
+        this.tracker.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.pinHash ? `${profile.name} (PIN)` : profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.tracker.settings.activeProfileId;
+        document.getElementById('active-scope').value = this.tracker.settings.activeLoadScope;
+    }
+
+    renderProfiles() {
+        const list = document.getElementById('profile-list');
+        list.querySelectorAll('.profile-item').forEach(item => item.remove());
+
+        this.tracker.profiles.forEach(profile => {
+            const element = document.getElementById('profile-item-template').content.cloneNode(true);
+            const item = element.querySelector('.profile-item');
+            item.dataset.profileId = profile.id;
+            element.querySelector('.config-name').value = profile.name;
+            element.querySelector('.profile-pin-btn').textContent = profile.pinHash ? 'Change PIN' : 'Set PIN';
+
+            const loadCount = this.tracker.loads.filter(load => load.ownerId === profile.id).length;
+            const details = [`${loadCount} load${loadCount === 1 ? '' : 's'}`];
+            if (profile.pinHash) details.push('PIN');
+            if (profile.id === this.tracker.settings.activeProfileId) details.push('current');
+            element.querySelector('.config-detail').textContent = details.join(' · ');
+
+            list.appendChild(element);
+        });
+    }
+
+    // Configuration
+    appendConfigOptions(select, entries) {
+        entries.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.archived ? `${entry.name} (archived)` : entry.name;
+            select.appendChild(option);
+        });
+    }
+
+    populateConfigOptions() {
+        // New loads can only use hostels and categories that are still in service
+        [['load-location', this.tracker.config.hostels],
+            ['load-category', this.tracker.config.categories],
+            ['load-preset', this.tracker.config.presets],
+            ['sync-hostel', this.tracker.config.hostels],
+            ['queue-location', this.tracker.config.hostels],
+            ['plan-location', this.tracker.config.hostels],
+            ['plan-category', this.tracker.config.categories]].forEach(([selectId, entries]) => {
+            const select = document.getElementById(selectId);
+            const previous = select.value;
+
+            select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            this.appendConfigOptions(select, entries.filter(entry => !entry.archived));
+
+            select.value = [...select.options].some(option => option.value === previous) ? previous : '';
+        });
+    }
+
+    applyPreset(presetId) {
+        const preset = this.tracker.config.presets.find(entry => entry.id === presetId);
+        if (!preset) return;
+
+        document.getElementById('load-type').value = preset.type;
+        document.getElementById('duration').value = preset.duration;
+        if (preset.dryDuration) {
+            document.getElementById('dry-duration').value = preset.dryDuration;
+        }
+        this.updateStageFields();
+        this.populateMachineOptions();
+    }
+
+    refreshConfigViews() {
+        this.populateConfigOptions();
+        this.populateHistoryFilterOptions();
+        this.renderSettings();
+    }
+
+    renderSettings() {
+        const details = {
+            hostels: hostel => {
+                const machines = this.tracker.getMachinesForLocation(hostel.id);
+                const washers = machines.filter(machine => machine.type === 'washer').length;
+                return `${washers} washer(s) · ${machines.length - washers} dryer(s)`;
+            },
+            categories: category => `${this.tracker.loads.filter(load => load.category === category.id).length} load(s)`,
+            presets: preset => {
+                const durations = preset.type === 'both' ? `${preset.duration}m + ${preset.dryDuration}m` : `${preset.duration}m`;
+                return `${capitalizeFirst(preset.type)} · ${durations}`;
+            }
+        };
+
+        Object.entries(details).forEach(([listName, describe]) => {
+            const list = document.querySelector(`.config-list[data-list="${listName}"]`);
+            list.querySelectorAll('.config-item').forEach(item => item.remove());
+
+            this.tracker.config[listName].forEach(entry => {
+                const element = document.getElementById('config-item-template').content.cloneNode(true);
+                const item = element.querySelector('.config-item');
+                item.dataset.id = entry.id;
+                item.classList.toggle('archived', entry.archived === true);
+
+                element.querySelector('.config-name').value = entry.name;
+                element.querySelector('.config-detail').textContent = describe(entry);
+                const removeBtn = element.querySelector('.config-remove-btn');
+                removeBtn.textContent = listName === 'presets' ? 'Delete' : (entry.archived ? 'Restore' : 'Archive');
+
+                list.appendChild(element);
+            });
+        });
+    }
+
+    // Edit Dialog
+    openEditDialog(loadId) {
+        const load = this.tracker.loads.find(l => l.id === loadId);
+        if (!load || !this.tracker.isOwnLoad(load)) return;
+
+        const form = document.getElementById('edit-load-form');
+        form.dataset.loadId = loadId;
+
+        // Offer the add-load choices, plus the load's own hostel or category if it has been archived
+        const typeSelect = document.getElementById('edit-type');
+        typeSelect.querySelectorAll('option').forEach(option => option.remove());
+        [...document.getElementById('load-type').options]
+            .filter(option => option.value)
+            .forEach(option => typeSelect.appendChild(option.cloneNode(true)));
+
+        [['edit-location', this.tracker.config.hostels, load.location], ['edit-category', this.tracker.config.categories, load.category]].forEach(([targetId, entries, current]) => {
+            const select = document.getElementById(targetId);
+            select.querySelectorAll('option').forEach(option => option.remove());
+            const options = entries.filter(entry => !entry.archived || entry.id === current);
+            if (!options.some(entry => entry.id === current)) {
+                options.push({ id: current, name: current, archived: true });
+            }
+            this.appendConfigOptions(select, options);
+        });
+
+        // Type and hostel are tied to the machine while the load is still in it
+        const active = LoadState.isActiveLoad(load);
+        const staged = Array.isArray(load.stages);
+        document.getElementById('edit-type').disabled = active || staged;
+        document.getElementById('edit-location').disabled = active;
+
+        document.getElementById('edit-type').value = load.type;
+        document.getElementById('edit-location').value = load.location;
+        document.getElementById('edit-category').value = load.category;
+        document.getElementById('edit-duration').value = staged ? load.stages[0].duration : load.duration;
+        document.getElementById('edit-dry-duration').value = staged ? load.stages[1].duration : '';
+        document.getElementById('edit-dry-duration-group').style.display = staged ? '' : 'none';
+        document.getElementById('edit-dry-duration').required = staged;
+        document.getElementById('edit-duration-label').textContent = staged ? 'Wash duration (minutes)' : 'Duration (minutes)';
+        document.getElementById('edit-notes').value = load.notes || '';
+
+        // Only loads that have not started yet can be moved
+        const scheduled = load.status === 'scheduled';
+        document.getElementById('edit-start-group').style.display = scheduled ? '' : 'none';
+        document.getElementById('edit-start-time').required = scheduled;
+        document.getElementById('edit-start-time').value = scheduled ? toDateTimeInputValue(load.startTime) : '';
+
+        this.openModal(document.getElementById('edit-load-dialog'));
+    }
+
+    saveLoadEdit() {
+        const saved = this.tracker.editLoad(document.getElementById('edit-load-form').dataset.loadId, {
+            type: document.getElementById('edit-type').value,
+            location: document.getElementById('edit-location').value,
+            category: document.getElementById('edit-category').value,
+            duration: parseInt(document.getElementById('edit-duration').value),
+            dryDuration: parseInt(document.getElementById('edit-dry-duration').value),
+            notes: document.getElementById('edit-notes').value.trim(),
+            startAt: document.getElementById('edit-start-time').value
+        });
+        if (saved) {
+            document.getElementById('edit-load-dialog').close();
+        }
+    }
+
+    // Timers
+    // The tracker has just checked these loads against the clock; bring their countdowns up to date
+    updateTimers(loadIds) {
+        loadIds.forEach(loadId => {
+            const load = this.tracker.loads.find(l => l.id === loadId);
+            if (load && load.status === 'awaiting-pickup') {
+                this.updatePickupWait(load);
+            } else if (load && load.status === 'scheduled') {
+                this.updateStartCountdown(load);
+            } else if (load && load.status === 'running') {
+                const remaining = LoadState.getRemainingTime(load, this.tracker.now());
+                this.updateLoadTimer(loadId, remaining);
+                this.announceTimerMilestone(load, remaining);
+            }
+            if (!load || load.status !== 'running') {
+                this.timerMilestones.delete(loadId);
+            }
+        });
+    }
+
+    announceTimerMilestone(load, remainingMs) {
+        const crossed = TIMER_ANNOUNCE_MINUTES.filter(minutes => remainingMs <= minutes * 60 * 1000);
+        const milestone = crossed.length > 0 ? crossed[crossed.length - 1] : Infinity;
+        const previous = this.timerMilestones.get(load.id);
+        this.timerMilestones.set(load.id, milestone);
+
+        // The first tick only notes where the timer is, so reloading the page stays quiet
+        if (previous === undefined || milestone >= previous) return;
+
+        const unit = milestone === 1 ? 'minute' : 'minutes';
+        this.announce(`${this.tracker.getCategoryName(load.category)} ${load.type} at ${this.tracker.getLocationName(load.location)}: ${milestone} ${unit} left`);
+    }
+
+    updatePickupWait(load) {
+        const waited = `Waiting ${formatTime(LoadState.getPickupWait(load, this.tracker.now()))}`;
+
+        const tile = this.findLoadElement('.machine-tile', load.id);
+        const machineRemaining = tile && tile.querySelector('.machine-remaining');
+        if (machineRemaining) {
+            machineRemaining.textContent = `Finished · ${waited.toLowerCase()}`;
+        }
+
+        const card = this.findLoadElement('.load-item', load.id);
+        const timeDisplay = card && card.querySelector('.time-remaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = waited;
+        }
+    }
+
+    updateStartCountdown(load) {
+        const countdown = `Starts in ${formatTime(LoadState.getTimeUntilStart(load, this.tracker.now()))}`;
+
+        const tile = this.findLoadElement('.machine-tile', load.id);
+        const machineRemaining = tile && tile.querySelector('.machine-remaining');
+        if (machineRemaining) {
+            machineRemaining.textContent = countdown;
+        }
+
+        const card = this.findLoadElement('.load-item', load.id);
+        const timeDisplay = card && card.querySelector('.time-remaining');
+        if (timeDisplay) {
+            timeDisplay.textContent = countdown;
+        }
+    }
+
+    updateLoadTimer(loadId, remainingMs) {
+        const tile = this.findLoadElement('.machine-tile', loadId);
+        const machineRemaining = tile && tile.querySelector('.machine-remaining');
+        if (machineRemaining) {
+            machineRemaining.textContent = `${formatTime(remainingMs)} left`;
+        }
+
+        const loadElement = this.findLoadElement('.load-item', loadId);
+        if (!loadElement) return;
+
+        const timeDisplay = loadElement.querySelector('.time-remaining');
+        const progressFill = loadElement.querySelector('.progress-fill');
+        const load = this.tracker.loads.find(l => l.id === loadId);
+
+        if (timeDisplay && load) {
+            timeDisplay.textContent = formatTime(remainingMs);
+            
+            // Update progress bar
+            if (progressFill) {
+                const totalMs = LoadState.getCycleDurationMs(load);
+                const progress = ((totalMs - remainingMs) / totalMs) * 100;
+                progressFill.style.width = `${Math.min(100, Math.max(0, progress))}%`;
+                this.setProgressValue(loadElement, progress);
+            }
+        }
+    }
+
+    setProgressValue(loadElement, progress) {
+        loadElement.querySelector('.progress-bar').setAttribute('aria-valuenow', Math.round(Math.min(100, Math.max(0, progress))));
+    }
+
+    // Display Updates
+    updateDisplay() {
+        this.updateStats();
+        this.renderActiveLoads();
+        this.renderScheduledLoads();
+        this.renderMachineBoard();
+        this.renderQueue();
+        this.renderPlans();
+        this.populateMachineOptions();
+        this.renderHistory();
+    }
+
+    updateStats() {
+        const activeLoads = this.tracker.loads.filter(load => LoadState.isActiveLoad(load) && load.status !== 'scheduled');
+        const todayLoads = this.tracker.loads.filter(load => isToday(load.startTime, this.tracker.now()));
+        
+        // Update header stats
+        document.getElementById('active-count').textContent = activeLoads.length;
+        document.getElementById('today-count').textContent = todayLoads.length;
+
+        // The statistics section follows the current profile and the history filters
+        const profileLoads = this.tracker.getProfileLoads();
+        const statsLoads = filterLoads(profileLoads, this.historyFilters);
+        const filtered = statsLoads.length !== profileLoads.length;
+        const profileName = this.tracker.getActiveProfile().name;
+        document.getElementById('stats-scope').textContent = filtered
+            ? `Showing ${statsLoads.length} of ${profileLoads.length} loads for ${profileName} matching the history filters`
+            : `Showing all ${profileLoads.length} loads for ${profileName}`;
+        
+        // Update statistics section
+        const summary = summarizeLoads(statsLoads, this.tracker.now());
+        document.getElementById('total-loads').textContent = summary.total;
+        document.getElementById('avg-duration').textContent = Math.round(summary.averageDuration || 0) + 'm';
+        document.getElementById('avg-pickup-wait').textContent = summary.averagePickupWait === null ? '-' : Math.round(summary.averagePickupWait) + 'm';
+        document.getElementById('this-week').textContent = summary.thisWeek;
+        
+        // Plans that came due in the filtered range without a load to show for it
+        const missedPlans = this.tracker.getMissedPlanOccurrences(this.historyFilters);
+        const missedElement = document.getElementById('missed-plans');
+        missedElement.textContent = missedPlans.length;
+        missedElement.title = missedPlans
+            .map(({ plan, occurrence }) => `${plan.name} - ${formatDateTime(occurrence)}`)
+            .join('\n');
+        
+        // Most common category
+        const mostCommon = summary.mostCommonCategory;
+        document.getElementById('most-common').textContent = mostCommon ? capitalizeFirst(this.tracker.getCategoryName(mostCommon)) : '-';
+
+        this.renderCharts(statsLoads);
+    }
+
+    renderCharts(loads) {
+        this.renderColumnChart('chart-daily', countLoadsByDay(loads, 14, this.tracker.now()));
+        this.renderColumnChart('chart-weekly', countLoadsByWeek(loads, 8, this.tracker.now()));
+        this.renderBreakdown('chart-hostel', loads.map(load => this.tracker.getLocationName(load.location)));
+        this.renderBreakdown('chart-type', loads.map(load => capitalizeFirst(load.type)));
+        this.renderBreakdown('chart-category', loads.map(load => this.tracker.getCategoryName(load.category)));
+        this.renderPlannedVsActual('chart-planned-actual', loads);
+        this.renderHeatmap('chart-heatmap', loads);
+    }
+
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    // Every chart gets a <title> so hovering (or a screen reader) gives the exact number
+    appendSvgTitle(element, text) {
+        const title = this.createSvgElement('title');
+        title.textContent = text;
+        element.appendChild(title);
+    }
+
+    clearChart(containerId, emptyMessage, isEmpty) {
+        const container = document.getElementById(containerId);
+        container.replaceChildren();
+
+        if (isEmpty) {
+            const empty = document.createElement('p');
+            empty.className = 'chart-empty';
+            empty.textContent = emptyMessage;
+            container.appendChild(empty);
+        }
+        return container;
+    }
+
+    renderColumnChart(containerId, buckets) {
+        const total = buckets.reduce((sum, bucket) => sum + bucket.value, 0);
+        const container = this.clearChart(containerId, 'No loads in this period', total === 0);
+        if (total === 0) return;
+
+        const width = 320;
+        const height = 160;
+        const labelSpace = 20;
+        const max = Math.max(...buckets.map(bucket => bucket.value));
+        const slot = width / buckets.length;
+        const svg = this.createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+        this.appendSvgTitle(svg, buckets.map(bucket => `${bucket.label}: ${bucket.value}`).join(', '));
+
+        // Label roughly every other column so dates don't overlap
+        const labelEvery = Math.ceil(buckets.length / 7);
+
+        buckets.forEach((bucket, index) => {
+            const barHeight = (bucket.value / max) * (height - labelSpace - 14);
+            const x = index * slot + slot * 0.15;
+            const y = height - labelSpace - barHeight;
+
+            const bar = this.createSvgElement('rect', { x: x, y: y, width: slot * 0.7, height: barHeight, rx: 2, class: 'chart-bar' });
+            this.appendSvgTitle(bar, `${bucket.label}: ${bucket.value} load(s)`);
+            svg.appendChild(bar);
+
+            if (bucket.value > 0) {
+                const value = this.createSvgElement('text', { x: x + slot * 0.35, y: y - 3, class: 'chart-value' });
+                value.textContent = bucket.value;
+                svg.appendChild(value);
+            }
+
+            if (index % labelEvery === 0) {
+                const label = this.createSvgElement('text', { x: x + slot * 0.35, y: height - 5, class: 'chart-label' });
+                label.textContent = bucket.label;
+                svg.appendChild(label);
+            }
+        });
+
+        container.appendChild(svg);
+    }
+
+    renderBreakdown(containerId, values) {
+        const container = this.clearChart(containerId, 'No loads to break down', values.length === 0);
+        if (values.length === 0) return;
+
+        const rows = countValues(values);
+
+        const rowHeight = 26;
+        const width = 320;
+        const labelWidth = 120;
+        const max = rows[0][1];
+        const svg = this.createSvgElement('svg', { viewBox: `0 0 ${width} ${rows.length * rowHeight}`, class: 'chart-svg', role: 'img' });
+        this.appendSvgTitle(svg, rows.map(([label, count]) => `${label}: ${count}`).join(', '));
+
+        rows.forEach(([label, count], index) => {
+            const y = index * rowHeight;
+            const barWidth = Math.max(2, (count / max) * (width - labelWidth - 40));
+
+            const name = this.createSvgElement('text', { x: 0, y: y + 17, class: 'chart-label chart-label-start' });
+            name.textContent = label;
+            svg.appendChild(name);
+
+            const bar = this.createSvgElement('rect', { x: labelWidth, y: y + 5, width: barWidth, height: rowHeight - 10, rx: 3, class: 'chart-bar' });
+            this.appendSvgTitle(bar, `${label}: ${count} load(s), ${Math.round((count / values.length) * 100)}%`);
+            svg.appendChild(bar);
+
+            const value = this.createSvgElement('text', { x: labelWidth + barWidth + 6, y: y + 17, class: 'chart-value chart-label-start' });
+            value.textContent = count;
+            svg.appendChild(value);
+        });
+
+        container.appendChild(svg);
+    }
+
+    // Average planned duration against average actual duration, per load type
+    renderPlannedVsActual(containerId, loads) {
+        const finished = loads.filter(load => (load.status === 'completed' || load.status === 'awaiting-pickup') && load.endTime);
+        const container = this.clearChart(containerId, 'No finished loads to compare', finished.length === 0);
+        if (finished.length === 0) return;
+
+        const groups = LoadState.LOAD_TYPES
+            .map(type => {
+                const ofType = finished.filter(load => load.type === type);
+                if (ofType.length === 0) return null;
+                const planned = ofType.reduce((sum, load) => sum + load.duration, 0) / ofType.length;
+                const actual = ofType.reduce((sum, load) => sum + LoadState.getActualDuration(load) / 60000, 0) / ofType.length;
+                return { label: capitalizeFirst(type), planned: planned, actual: actual };
+            })
+            .filter(Boolean);
+
+        const width = 320;
+        const height = 170;
+        const labelSpace = 20;
+        const max = Math.max(...groups.flatMap(group => [group.planned, group.actual]), 1);
+        const slot = width / groups.length;
+        const svg = this.createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+        this.appendSvgTitle(svg, groups.map(group => `${group.label}: planned ${Math.round(group.planned)}m, actual ${Math.round(group.actual)}m`).join('; '));
+
+        groups.forEach((group, index) => {
+            [['planned', 'chart-bar-planned'], ['actual', 'chart-bar']].forEach(([key, className], offset) => {
+                const barHeight = (group[key] / max) * (height - labelSpace - 14);
+                const x = index * slot + slot * 0.15 + offset * slot * 0.35;
+                const y = height - labelSpace - barHeight;
+
+                const bar = this.createSvgElement('rect', { x: x, y: y, width: slot * 0.33, height: barHeight, rx: 2, class: className });
+                this.appendSvgTitle(bar, `${group.label} ${key}: ${Math.round(group[key])} min average`);
+                svg.appendChild(bar);
+
+                const value = this.createSvgElement('text', { x: x + slot * 0.165, y: y - 3, class: 'chart-value' });
+                value.textContent = `${Math.round(group[key])}m`;
+                svg.appendChild(value);
+            });
+
+            const label = this.createSvgElement('text', { x: index * slot + slot / 2, y: height - 5, class: 'chart-label' });
+            label.textContent = group.label;
+            svg.appendChild(label);
+        });
+
+        container.appendChild(svg);
+
+        const planned = finished.reduce((sum, load) => sum + load.duration, 0);
+        const actual = finished.reduce((sum, load) => sum + LoadState.getActualDuration(load) / 60000, 0);
+        const difference = Math.round(((actual - planned) / planned) * 100);
+        const summary = document.createElement('p');
+        summary.className = 'chart-note';
+        summary.textContent = difference === 0
+            ? 'Loads run exactly as long as planned on average'
+            : `Loads run ${Math.abs(difference)}% ${difference > 0 ? 'longer' : 'shorter'} than planned on average`;
+        container.appendChild(summary);
+    }
+
+    // Day-of-week by hour-of-day grid of load start times
+    renderHeatmap(containerId, loads) {
+        const container = this.clearChart(containerId, 'No loads to map yet', loads.length === 0);
+        if (loads.length === 0) return;
+
+        const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const grid = days.map(() => new Array(24).fill(0));
+        loads.forEach(load => {
+            grid[(load.startTime.getDay() + 6) % 7][load.startTime.getHours()]++;
+        });
+        const max = Math.max(...grid.flat());
+
+        const cell = 13;
+        const labelWidth = 30;
+        const svg = this.createSvgElement('svg', {
+            viewBox: `0 0 ${labelWidth + cell * 24} ${cell * 7 + 16}`,
+            class: 'chart-svg',
+            role: 'img'
+        });
+        this.appendSvgTitle(svg, 'Load start times by day of week and hour');
+
+        grid.forEach((hours, dayIndex) => {
+            const dayLabel = this.createSvgElement('text', { x: 0, y: dayIndex * cell + 10, class: 'chart-label chart-label-start' });
+            dayLabel.textContent = days[dayIndex];
+            svg.appendChild(dayLabel);
+
+            hours.forEach((count, hour) => {
+                const rect = this.createSvgElement('rect', {
+                    x: labelWidth + hour * cell,
+                    y: dayIndex * cell,
+                    width: cell - 1,
+                    height: cell - 1,
+                    rx: 2,
+                    class: 'heatmap-cell',
+                    'fill-opacity': count === 0 ? 0.06 : 0.2 + 0.8 * (count / max)
+                });
+                this.appendSvgTitle(rect, `${days[dayIndex]} ${String(hour).padStart(2, '0')}:00 - ${count} load(s)`);
+                svg.appendChild(rect);
+            });
+        });
+
+        [0, 6, 12, 18].forEach(hour => {
+            const label = this.createSvgElement('text', { x: labelWidth + hour * cell, y: cell * 7 + 12, class: 'chart-label chart-label-start' });
+            label.textContent = `${String(hour).padStart(2, '0')}h`;
+            svg.appendChild(label);
+        });
+
+        container.appendChild(svg);
+    }
+
+    renderActiveLoads() {
+        const container = document.getElementById('active-loads-container');
+        const emptyState = document.getElementById('no-active-loads');
+        const activeLoads = this.tracker.loads.filter(load => LoadState.isActiveLoad(load) && load.status !== 'scheduled' && this.tracker.isLoadInScope(load));
+        
+        if (activeLoads.length === 0) {
+            emptyState.style.display = 'block';
+            // Remove all load items
+            container.querySelectorAll('.load-item').forEach(item => item.remove());
+        } else {
+            emptyState.style.display = 'none';
+            this.renderLoads(container, activeLoads);
+        }
+    }
+
+    renderScheduledLoads() {
+        const container = document.getElementById('scheduled-loads-container');
+        const scheduledLoads = this.tracker.loads
+            .filter(load => load.status === 'scheduled' && this.tracker.isLoadInScope(load))
+            .sort((a, b) => a.startTime - b.startTime);
+
+        document.getElementById('no-scheduled-loads').style.display = scheduledLoads.length === 0 ? 'block' : 'none';
+        this.renderLoads(container, scheduledLoads);
+    }
+
+    renderMachineBoard() {
+        const board = document.getElementById('machine-board');
+        board.querySelectorAll('.machine-hostel').forEach(item => item.remove());
+
+        const archived = this.tracker.config.hostels.filter(hostel => hostel.archived).map(hostel => hostel.id);
+        const locations = [...new Set(this.tracker.machines.map(machine => machine.location))]
+            .filter(location => !archived.includes(location));
+        document.getElementById('no-machines').style.display = locations.length === 0 ? 'block' : 'none';
+
+        locations.forEach(location => {
+            const hostel = document.createElement('div');
+            hostel.className = 'machine-hostel';
+
+            const heading = document.createElement('h3');
+            heading.textContent = this.tracker.getLocationName(location);
+            hostel.appendChild(heading);
+
+            const grid = document.createElement('div');
+            grid.className = 'machine-grid';
+            this.tracker.getMachinesForLocation(location).forEach(machine => {
+                grid.appendChild(this.createMachineElement(machine));
+            });
+            hostel.appendChild(grid);
+
+            board.appendChild(hostel);
+        });
+    }
+
+    createMachineElement(machine) {
+        const template = document.getElementById('machine-tile-template');
+        const element = template.content.cloneNode(true);
+        const tile = element.querySelector('.machine-tile');
+        const state = this.tracker.getMachineState(machine);
+        const load = this.tracker.getMachineLoad(machine.id);
+
+        tile.dataset.machineId = machine.id;
+        tile.classList.add(state.replace(/ /g, '-'));
+        if (load) {
+            tile.dataset.loadId = load.id;
+        }
+
+        element.querySelector('.machine-icon').classList.add(machine.type === 'dryer' ? 'fa-wind' : 'fa-soap');
+        element.querySelector('.machine-name').textContent = machine.name;
+        element.querySelector('.machine-type').textContent = `${capitalizeFirst(machine.type)} · ${machine.defaultDuration}min`;
+        element.querySelector('.machine-state').textContent = state;
+
+        const remaining = element.querySelector('.machine-remaining');
+        if (load && this.tracker.remoteLoads.includes(load)) {
+            // Other people's timers only move when we sync, so whole minutes are honest enough
+            const minutesLeft = Math.ceil(Math.max(0, LoadState.getRemainingTime(load, this.tracker.now())) / 60000);
+            const minutesToStart = Math.ceil(LoadState.getTimeUntilStart(load, this.tracker.now()) / 60000);
+            const state = load.status === 'running' ? `about ${minutesLeft}m left`
+                : load.status === 'scheduled' ? `starts in about ${minutesToStart}m`
+                    : load.status.replace('-', ' ');
+            remaining.textContent = `${load.ownerName || 'Someone'} · ${state}`;
+        } else if (load) {
+            const remainingMs = Math.max(0, LoadState.getRemainingTime(load, this.tracker.now()));
+            if (load.status === 'transfer') {
+                remaining.textContent = 'Waiting for transfer';
+            } else if (load.status === 'awaiting-pickup') {
+                remaining.textContent = `Finished · waiting ${formatTime(LoadState.getPickupWait(load, this.tracker.now()))}`;
+            } else if (load.status === 'paused') {
+                remaining.textContent = `Paused · ${formatTime(remainingMs)} left`;
+            } else if (load.status === 'scheduled') {
+                remaining.textContent = `Starts in ${formatTime(LoadState.getTimeUntilStart(load, this.tracker.now()))}`;
+            } else {
+                remaining.textContent = `${formatTime(remainingMs)} left`;
+            }
+        }
+
+        const serviceBtn = element.querySelector('.machine-service-btn');
+        serviceBtn.textContent = machine.outOfOrder ? 'Back in service' : 'Out of order';
+
+        return element;
+    }
+
+    // Machine Queue
+    renderQueue() {
+        const container = document.getElementById('queue-container');
+        const emptyState = document.getElementById('no-queue');
+        container.querySelectorAll('.queue-item').forEach(item => item.remove());
+
+        const entries = this.tracker.queue
+            .filter(entry => Queue.isQueueEntryActive(entry))
+            .sort((a, b) => a.location.localeCompare(b.location) || a.joinedAt - b.joinedAt);
+        emptyState.style.display = entries.length === 0 ? 'block' : 'none';
+
+        entries.forEach(entry => container.appendChild(this.createQueueElement(entry)));
+    }
+
+    createQueueElement(entry) {
+        const template = document.getElementById('queue-item-template');
+        const element = template.content.cloneNode(true);
+        const item = element.querySelector('.queue-item');
+        const own = this.tracker.isOwnQueueEntry(entry);
+
+        item.dataset.entryId = entry.id;
+        item.classList.toggle('own', own);
+        item.classList.toggle('notified', entry.status === 'notified');
+
+        element.querySelector('.queue-position').textContent = `#${Queue.getQueueLine(this.tracker.queue, entry).indexOf(entry) + 1}`;
+        element.querySelector('.queue-name').textContent = entry.name;
+        const machine = entry.machineType ? capitalizeFirst(entry.machineType) : 'Any machine';
+        element.querySelector('.queue-meta').textContent =
+            `${this.tracker.getLocationName(entry.location)} · ${machine} · joined ${formatDateTime(entry.joinedAt)}`;
+
+        const wait = element.querySelector('.queue-wait');
+        if (entry.status === 'notified') {
+            const minutesLeft = Math.max(0, Math.ceil((this.tracker.getReservationExpiry(entry) - this.tracker.now()) / 60000));
+            wait.textContent = `${own ? 'Your turn' : 'Their turn'} · ${minutesLeft}m to start`;
+        } else {
+            const estimate = this.tracker.estimateQueueWait(entry);
+            if (estimate !== null) {
+                wait.textContent = `About ${Math.ceil(estimate / 60000)}m wait`;
+            } else if (this.tracker.getMachineFreeTimes(entry.location, entry.machineType).length === 0) {
+                wait.textContent = 'No working machines';
+            } else {
+                wait.textContent = 'Next once finished clothes are collected';
+            }
+        }
+
+        element.querySelector('.leave-queue-btn').style.display = own ? '' : 'none';
+        return element;
+    }
+
+    // History
+    renderHistory() {
+        const container = document.getElementById('history-container');
+        const emptyState = document.getElementById('no-history');
+        const finishedLoads = this.tracker.getProfileLoads().filter(load => load.status === 'completed' || load.status === 'cancelled');
+        const matchingLoads = sortLoads(filterLoads(finishedLoads, this.historyFilters), this.historyFilters.sort);
+
+        const pageCount = Math.max(1, Math.ceil(matchingLoads.length / HISTORY_PAGE_SIZE));
+        const page = Math.min(Math.max(1, this.historyFilters.page), pageCount);
+        const pageStart = (page - 1) * HISTORY_PAGE_SIZE;
+        const historyLoads = matchingLoads.slice(pageStart, pageStart + HISTORY_PAGE_SIZE);
+        this.historyFilters.page = page;
+        
+        if (historyLoads.length === 0) {
+            emptyState.style.display = 'block';
+            const filtered = finishedLoads.length > 0;
+            emptyState.querySelector('p').textContent = filtered ? 'No loads match these filters' : 'No completed loads yet';
+            emptyState.querySelector('small').textContent = filtered ? 'Try clearing some filters' : 'Completed loads will appear here';
+            container.querySelectorAll('.load-item').forEach(item => item.remove());
+        } else {
+            emptyState.style.display = 'none';
+            this.renderLoads(container, historyLoads);
+        }
+
+        const summary = matchingLoads.length === 0
+            ? '0 loads'
+            : `${pageStart + 1}–${pageStart + historyLoads.length} of ${matchingLoads.length} loads`;
+        document.getElementById('history-page-info').textContent = `${summary} · Page ${page} of ${pageCount}`;
+        document.getElementById('history-prev-btn').disabled = page <= 1;
+        document.getElementById('history-next-btn').disabled = page >= pageCount;
+    }
+
+    changeHistoryPage(delta) {
+        this.historyFilters.page += delta;
+        this.renderHistory();
+        this.writeHistoryFiltersToUrl();
+        document.querySelector('.history-section').scrollIntoView({ block: 'start' });
+    }
+
+    readHistoryFiltersFromUrl() {
+        this.historyFilters = parseHistoryFilters(new URLSearchParams(window.location.search));
+    }
+
+    writeHistoryFiltersToUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        // Only non-default values go in the URL so plain visits keep a clean address
+        Object.entries(this.historyFilters).forEach(([key, value]) => {
+            if (String(value) === String(DEFAULT_HISTORY_FILTERS[key])) {
+                params.delete(key);
+            } else {
+                params.set(key, value);
+            }
+        });
+
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    populateHistoryFilterOptions() {
+        // Archived hostels and categories stay filterable because old loads still use them
+        const types = [...document.getElementById('load-type').options]
+            .filter(option => option.value)
+            .map(option => ({ id: option.value, name: option.textContent }));
+
+        [['history-type', types, 'All types'],
+            ['history-location', this.tracker.config.hostels, 'All hostels'],
+            ['history-category', this.tracker.config.categories, 'All categories']].forEach(([filterId, entries, allLabel]) => {
+            const select = document.getElementById(filterId);
+            select.querySelectorAll('option').forEach(option => option.remove());
+
+            const allOption = document.createElement('option');
+            allOption.value = '';
+            allOption.textContent = allLabel;
+            select.appendChild(allOption);
+            this.appendConfigOptions(select, entries);
+        });
+
+        document.querySelectorAll('#history-filters [data-filter]').forEach(input => {
+            input.value = this.historyFilters[input.dataset.filter];
+        });
+    }
+
+    renderLoads(container, loads) {
+        // Re-rendering replaces the cards, so note where keyboard focus was to put it back
+        const focused = container.contains(document.activeElement) ? document.activeElement : null;
+        const focusedCard = focused && focused.closest('.load-item');
+        const focusedAction = focused && focused !== focusedCard
+            ? [...focused.classList].find(name => name.endsWith('-btn'))
+            : null;
+
+        // Clear existing load items
+        container.querySelectorAll('.load-item').forEach(item => item.remove());
+        
+        loads.forEach(load => {
+            const loadElement = this.createLoadElement(load);
+            container.appendChild(loadElement);
+        });
+
+        if (focusedCard) {
+            const card = this.findLoadElement('.load-item', focusedCard.dataset.loadId, container);
+            const button = card && focusedAction ? card.querySelector(`.${focusedAction}`) : null;
+            const target = button && button.style.display !== 'none' ? button : card;
+            if (target) target.focus();
+        }
+    }
+
+    createLoadElement(load) {
+        const template = document.getElementById('load-item-template');
+        const element = template.content.cloneNode(true);
+        const loadItem = element.querySelector('.load-item');
+        
+        loadItem.dataset.loadId = load.id;
+        loadItem.setAttribute('aria-label', [
+            capitalizeFirst(load.type),
+            this.tracker.getCategoryName(load.category),
+            this.tracker.getLocationName(load.location),
+            load.status.replace('-', ' ')
+        ].join(', '));
+        
+        // Fill in load information
+        element.querySelector('.load-type').textContent = capitalizeFirst(load.type);
+        element.querySelector('.load-category').textContent = this.tracker.getCategoryName(load.category);
+        element.querySelector('.load-location').textContent = this.tracker.getLocationName(load.location);
+        const machine = this.tracker.getMachine(load.machineId);
+        element.querySelector('.load-machine').textContent = machine ? machine.name : '';
+        element.querySelector('.load-time').textContent = formatDateTime(load.startTime);
+        element.querySelector('.load-duration').textContent = `${load.duration}min`;
+        element.querySelector('.load-stage').textContent = this.getStageSummary(load);
+        if (this.tracker.profiles.length > 1) {
+            element.querySelector('.load-owner').textContent = this.tracker.getProfileName(load.ownerId);
+        }
+        if (load.collectedAt) {
+            element.querySelector('.load-wait').textContent = `Collected after ${Math.round(LoadState.getPickupWait(load, this.tracker.now()) / 60000)}m wait`;
+        }
+        
+        // Notes
+        const notesElement = element.querySelector('.load-notes');
+        if (load.notes) {
+            notesElement.textContent = load.notes;
+        }
+        
+        // Status and timer
+        const statusBadge = element.querySelector('.status-badge');
+        const timeRemaining = element.querySelector('.time-remaining');
+        const progressFill = element.querySelector('.progress-fill');
+        
+        statusBadge.textContent = load.status;
+        statusBadge.className = `status-badge ${load.status}`;
+        
+        if (load.status === 'scheduled') {
+            timeRemaining.textContent = `Starts in ${formatTime(LoadState.getTimeUntilStart(load, this.tracker.now()))}`;
+            progressFill.style.width = '0%';
+        } else if (load.status === 'running' || load.status === 'paused') {
+            const cycleMs = LoadState.getCycleDurationMs(load);
+            const remaining = LoadState.getRemainingTime(load, this.tracker.now());
+            
+            if (remaining > 0) {
+                timeRemaining.textContent = formatTime(remaining);
+                const progress = ((cycleMs - remaining) / cycleMs) * 100;
+                progressFill.style.width = `${Math.min(100, Math.max(0, progress))}%`;
+            } else {
+                timeRemaining.textContent = '00:00';
+                progressFill.style.width = '100%';
+            }
+        } else if (load.status === 'transfer') {
+            timeRemaining.textContent = '00:00';
+            progressFill.style.width = '100%';
+        } else if (load.status === 'awaiting-pickup') {
+            timeRemaining.textContent = `Waiting ${formatTime(LoadState.getPickupWait(load, this.tracker.now()))}`;
+            progressFill.style.width = '100%';
+        } else {
+            // Completed or cancelled loads
+            if (load.endTime) {
+                timeRemaining.textContent = formatTime(LoadState.getActualDuration(load));
+            }
+            progressFill.style.width = '100%';
+        }
+        this.setProgressValue(loadItem, parseFloat(progressFill.style.width) || 0);
+        
+        // Action buttons
+        const actions = element.querySelector('.load-actions');
+
+        // Update pause button text
+        const pauseBtn = element.querySelector('.pause-btn');
+        if (load.status === 'paused') {
+            pauseBtn.replaceChildren(this.createIcon('fa-play'), ' Resume');
+        }
+
+        // Other profiles' loads are shown in the everyone scope but only their owner can change them
+        const visibleActions = this.tracker.isOwnLoad(load) ? LOAD_ACTIONS[load.status] || [] : [];
+        actions.querySelectorAll('.btn').forEach(button => {
+            const visible = visibleActions.some(name => button.classList.contains(name));
+            button.style.display = visible ? '' : 'none';
+        });
+        
+        return element;
+    }
+
+    getStageSummary(load) {
+        if (load.status === 'scheduled') {
+            return `Done by ${formatDateTime(LoadState.getExpectedEndTime(load, this.tracker.now()))}`;
+        }
+        if (!Array.isArray(load.stages)) return '';
+
+        const stage = LoadState.getCurrentStage(load);
+        if (load.status === 'transfer') {
+            return 'Wash done · move to dryer';
+        }
+        if (load.status === 'awaiting-pickup') {
+            return 'Drying done · ready to collect';
+        }
+        if (load.status === 'running' || load.status === 'paused') {
+            return `Stage ${load.stageIndex + 1}/${load.stages.length}: ${capitalizeFirst(stage.name)}`;
+        }
+
+        // Finished loads show how long each stage actually took
+        return load.stages
+            .filter(item => item.startTime)
+            .map(item => `${capitalizeFirst(item.name)} ${Math.round(LoadState.getStageElapsedTime(load, item, this.tracker.now()) / 60000)}m`)
+            .join(' · ');
+    }
+
+    // The only way markup is built outside <template>s: text always goes in as text, never as HTML
+    createElement(tag, { className = '', text = null, attributes = {} } = {}, children = []) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== null) element.textContent = text;
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        element.append(...children);
+        return element;
+    }
+
+    createIcon(iconClass) {
+        return this.createElement('i', { className: `fas ${iconClass}`, attributes: { 'aria-hidden': 'true' } });
+    }
+
+    // Ids come from imports and other people's devices, so they are compared rather than put into a selector
+    findLoadElement(selector, loadId, root = document) {
+        return [...root.querySelectorAll(selector)].find(element => element.dataset.loadId === loadId) || null;
+    }
+
+    // Undo may have brought the loads back or left them gone; either way focus lands on a card
+    focusLoadCard(loadIds) {
+        const card = loadIds.map(loadId => this.findLoadElement('.load-item', loadId)).find(Boolean) ||
+            document.querySelector('.load-item');
+        if (card) card.focus();
+    }
+
+    // Notifications
+    // action: optional { label, handler, timeout, focus, loadIds } button; a timeout of 0 keeps the toast
+    // until it is used. Errors are announced assertively, everything else politely unless priority says otherwise.
+    showNotification(message, type = 'info', action = null, priority = type === 'error' ? 'assertive' : 'polite') {
+        const container = document.getElementById('notifications-container');
+        const icons = {
+            success: 'fa-check-circle',
+            error: 'fa-exclamation-circle',
+            info: 'fa-info-circle'
+        };
+        
+        // The message often carries names and notes from imports or other people, so it is only ever text
+        const notification = this.createElement('div', { className: `notification ${type}` }, [
+            this.createIcon(icons[type] || icons.info),
+            this.createElement('span', { text: message })
+        ]);
+
+        // Remove notification after 4 seconds unless told otherwise
+        const timeout = action && action.timeout !== undefined ? action.timeout : 4000;
+
+        const dismiss = () => {
+            if (!notification.parentNode) return;
+            const hadFocus = notification.contains(document.activeElement);
+            notification.parentNode.removeChild(notification);
+            if (hadFocus && action && action.loadIds) this.focusLoadCard(action.loadIds);
+        };
+
+        if (action) {
+            const button = this.createElement('button', {
+                className: 'notification-action',
+                text: action.label,
+                attributes: { type: 'button' }
+            });
+            button.addEventListener('click', () => {
+                action.handler();
+                dismiss();
+            });
+            notification.appendChild(button);
+
+            // A toast that never times out needs another way to go away
+            if (timeout === 0) {
+                const close = this.createElement('button', {
+                    className: 'notification-close',
+                    attributes: { type: 'button', 'aria-label': 'Dismiss notification' }
+                }, [this.createIcon('fa-times')]);
+                close.addEventListener('click', dismiss);
+                notification.appendChild(close);
+            }
+            notification.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') dismiss();
+            });
+        }
+        
+        container.appendChild(notification);
+        this.announce(action ? `${message}. ${action.label} button in notifications.` : message, priority);
+        if (action && action.focus) {
+            notification.querySelector('.notification-action').focus();
+        }
+        
+        if (timeout > 0) {
+            this.tracker.clock.setTimer(dismiss, timeout);
+        }
+    }
+
+    // priority 'assertive' interrupts the screen reader; keep it for things that need doing now
+    announce(message, priority = 'polite') {
+        const region = document.getElementById(priority === 'assertive' ? 'announcer-assertive' : 'announcer-polite');
+        const entry = this.createElement('p', { text: message });
+        region.appendChild(entry);
+        this.tracker.clock.setTimer(() => entry.remove(), ANNOUNCEMENT_CLEAR_MS);
+    }
+
+    // Replacement for window.confirm(); resolves true only when the confirm button is used
+    confirmAction(title, message, confirmLabel = 'OK') {
+        const dialog = document.getElementById('confirm-dialog');
+        document.getElementById('confirm-title').textContent = title;
+        document.getElementById('confirm-message').textContent = message;
+        document.getElementById('confirm-ok-btn').textContent = confirmLabel;
+        dialog.returnValue = '';
+
+        return new Promise(resolve => {
+            dialog.addEventListener('close', () => resolve(dialog.returnValue === 'confirm'), { once: true });
+            // Start on the harmless choice so a stray Enter does not confirm
+            this.openModal(dialog, document.getElementById('confirm-cancel-btn'));
+        });
+    }
+
+    openModal(dialog, initialFocus = null) {
+        if (!dialog.open) {
+            const trigger = document.activeElement;
+            const card = trigger && trigger.closest ? trigger.closest('.load-item') : null;
+            this.modalTriggers.set(dialog, { element: trigger, loadId: card ? card.dataset.loadId : null });
+            dialog.showModal();
+        }
+
+        const target = initialFocus || this.getFocusableElements(dialog)[0] || dialog;
+        target.focus();
+    }
+
+    // The trigger may have been re-rendered while the dialog was open; fall back to its load card
+    restoreModalFocus(dialog) {
+        const trigger = this.modalTriggers.get(dialog);
+        this.modalTriggers.delete(dialog);
+        if (!trigger) return;
+
+        if (trigger.element && trigger.element.isConnected && trigger.element.focus) {
+            trigger.element.focus();
+        } else if (trigger.loadId) {
+            const card = this.findLoadElement('.load-item', trigger.loadId);
+            if (card) card.focus();
+        }
+    }
+
+    getFocusableElements(root) {
+        return [...root.querySelectorAll(FOCUSABLE_SELECTOR)]
+            .filter(element => !element.closest('[hidden], [style*="display: none"]'));
+    }
+
+    trapFocus(e, dialog) {
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements(dialog);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Arrow keys, Home and End move between cards; Enter edits; Delete cancels or deletes (both can be undone)
+    handleLoadCardKeydown(e) {
+        const card = e.target.classList && e.target.classList.contains('load-item') ? e.target : null;
+        if (!card || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const cards = [...card.parentElement.querySelectorAll('.load-item')];
+        const index = cards.indexOf(card);
+        const moves = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: cards.length - 1 };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            cards[Math.max(0, Math.min(cards.length - 1, moves[e.key]))].focus();
+            return;
+        }
+
+        const load = this.tracker.loads.find(l => l.id === card.dataset.loadId);
+        if (!load || !this.tracker.isOwnLoad(load)) return;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.openEditDialog(load.id);
+        } else if (e.key === 'Delete') {
+            // Only where the card itself offers Cancel or Delete; a load awaiting pickup offers neither
+            const actions = LOAD_ACTIONS[load.status] || [];
+            if (actions.includes('cancel-btn')) {
+                e.preventDefault();
+                this.tracker.cancelLoad(load.id, true);
+            } else if (actions.includes('delete-btn')) {
+                e.preventDefault();
+                this.tracker.deleteLoad(load.id, true);
+            }
+        }
+    }
+
+    // Offline Support
+    watchServiceWorkerUpdates(registration) {
+        let reloading = false;
+
+        const promptUpdate = (worker) => {
+            this.showNotification('A new version of the tracker is available', 'info', {
+                label: 'Update',
+                timeout: 0,
+                handler: () => {
+                    reloading = true;
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            });
+        };
+
+        // A worker may already be waiting from an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, so there is nothing to update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    promptUpdate(worker);
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) {
+                window.location.reload();
+            }
+        });
+    }
+
+    // Hostel Sync
+    populateSyncForm() {
+        document.getElementById('sync-url').value = this.tracker.settings.syncUrl;
+        document.getElementById('sync-hostel').value = this.tracker.settings.syncHostel;
+        document.getElementById('sync-name').value = this.tracker.settings.syncName;
+    }
+
+    renderSyncStatus() {
+        const status = document.getElementById('sync-status');
+        const queued = this.tracker.readOutbox().length;
+
+        if (!this.tracker.isSyncEnabled()) {
+            status.textContent = 'Off. Run node server/sync-server.js and enter its address to share machine status.';
+        } else if (!this.tracker.syncOnline) {
+            status.textContent = `Offline${queued > 0 ? ` · ${queued} change(s) queued` : ''}`;
+        } else {
+            status.textContent = `Synced at ${formatDateTime(this.tracker.lastSyncAt)} · ${this.tracker.getLiveRemoteLoads().length} load(s) from others` +
+                (queued > 0 ? ` · ${queued} change(s) queued` : '');
+        }
+    }
+
+    // Data Management
+    downloadFile({ content, filename, type }) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        
+        URL.revokeObjectURL(url);
+    }
+
+    // Email Subscriptions
+    openSubscribeDialog(email = '') {
+        const subscription = this.tracker.subscriptions.find(item => item.email === email);
+        document.getElementById('subscribe-email').value = email;
+        document.getElementById('subscribe-error').textContent = '';
+        this.renderSubscribeOptions(subscription);
+        this.renderSubscriptions();
+
+        this.openModal(document.getElementById('subscribe-dialog'), document.getElementById('subscribe-email'));
+    }
+
+    renderSubscribeOptions(subscription) {
+        const followed = subscription ? subscription.hostels : [];
+        const events = subscription ? subscription.events : Object.keys(SUBSCRIPTION_EVENTS);
+
+        // Archived hostels only show up for a subscription that still follows them
+        const hostels = this.tracker.config.hostels
+            .filter(hostel => !hostel.archived || followed.includes(hostel.id))
+            .map(hostel => ({ value: hostel.id, label: hostel.name, checked: followed.includes(hostel.id) }));
+        const eventOptions = Object.entries(SUBSCRIPTION_EVENTS)
+            .map(([value, label]) => ({ value: value, label: label, checked: events.includes(value) }));
+
+        [['subscribe-hostels', 'hostel', hostels], ['subscribe-events', 'event', eventOptions]].forEach(([containerId, name, options]) => {
+            const container = document.getElementById(containerId);
+            container.querySelectorAll('label').forEach(label => label.remove());
+
+            options.forEach(option => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.name = name;
+                checkbox.value = option.value;
+                checkbox.checked = option.checked;
+                label.append(checkbox, option.label);
+                container.appendChild(label);
+            });
+        });
+    }
+
+    saveSubscription() {
+        const email = document.getElementById('subscribe-email').value.trim().toLowerCase();
+        const checked = name => [...document.querySelectorAll(`#subscribe-form input[name="${name}"]:checked`)].map(input => input.value);
+        const hostels = checked('hostel');
+        const events = checked('event');
+
+        const error = this.tracker.getSubscriptionError(email, hostels, events);
+        document.getElementById('subscribe-error').textContent = error || '';
+        if (error) return;
+
+        this.tracker.saveSubscription(email, hostels, events);
+    }
+
+    renderSubscriptions() {
+        const list = document.getElementById('subscription-list');
+        list.querySelectorAll('.subscription-item').forEach(item => item.remove());
+        document.getElementById('no-subscriptions').style.display = this.tracker.subscriptions.length === 0 ? 'block' : 'none';
+
+        this.tracker.subscriptions.forEach(subscription => {
+            const element = document.getElementById('subscription-item-template').content.cloneNode(true);
+            element.querySelector('.subscription-item').dataset.subscriptionId = subscription.id;
+            element.querySelector('.subscription-email').textContent = subscription.email;
+
+            const hostels = subscription.hostels.map(hostel => this.tracker.getLocationName(hostel)).join(', ') || 'No hostels';
+            const events = subscription.events.map(event => SUBSCRIPTION_EVENTS[event].toLowerCase()).join(', ');
+            element.querySelector('.subscription-detail').textContent = `${hostels} · ${events}`;
+
+            list.appendChild(element);
+        });
+    }
+}
@@ -0,0 +1,427 @@
+// Optional sync server: shares running loads and machine status between everyone in a hostel.
+// Only uses Node built-ins, so it runs anywhere Node does:
+//
+//     node server/sync-server.js
+//     PORT=9000 SYNC_DATA_FILE=/tmp/laundry-sync.json node server/sync-server.js
+//     SYNC_MAIL_DIR=/tmp/laundry-mail node server/sync-server.js   # also write mock emails to files
+//     node server/sync-server.js --dev                              # also list mock emails at GET /api/mail
+//
+// It also serves the app itself, so http://localhost:8787/ works without any other web server.
+//
+// API (hostel ids are the ids from the app's hostel settings):
+//     GET  /api/health
+//     GET  /api/hostels/:hostel/changes?since=<cursor>
+//     POST /api/hostels/:hostel/changes   { changes: [{ type: 'load' | 'machine' | 'queue', record }] }
+//     POST /api/mail                      { to, subject, text }; only from pages this server served,
+//                                         and at most MAIL_RATE_LIMIT per client per window
+//     GET  /api/mail                      messages the mock mailer has "sent"; only with --dev, as
+//                                         it would show every address and message to any page
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || null;
+const APP_ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 1024 * 1024;
+// Finished loads and deletions only need to live long enough for every client to see them
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['scheduled', 'running', 'paused', 'transfer', 'awaiting-pickup'];
+const QUEUE_ACTIVE_STATUSES = ['waiting', 'notified'];
+// Where each kind of record lives in a hostel
+const CHANGE_BUCKETS = { load: 'loads', machine: 'machines', queue: 'queue' };
+const HOSTEL_ID_PATTERN = /^[a-z0-9-]{1,64}$/;
+const MAIL_DIR = process.env.SYNC_MAIL_DIR || null;
+const DEV_MODE = process.argv.includes('--dev');
+// Only campus addresses can be mailed, so the endpoint cannot be used as an open relay
+const MAIL_RECIPIENT_PATTERN = /^[a-z0-9._%+-]+@aitpune\.edu\.in$/i;
+const MAX_MOCK_MESSAGES = 200;
+// Enough for a busy hostel's subscription emails, too few to flood anyone's inbox
+const MAIL_RATE_LIMIT = 30;
+const MAIL_RATE_WINDOW_MS = 10 * 60 * 1000;
+
+// Same policy as the meta tag in index.html; as a header it can also forbid framing the app
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' https://cdnjs.cloudflare.com",
+    "font-src 'self' https://cdnjs.cloudflare.com",
+    "img-src 'self'",
+    "connect-src 'self' http: https:",
+    "manifest-src 'self'",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+// All the server hands out: the app's own files. The rest of the repo (this server, tests,
+// node_modules, and any data or mail directory someone points into it) is never served.
+const STATIC_FILES = ['index.html', 'manifest.webmanifest', 'sw.js'];
+const STATIC_DIRS = ['css', 'js', 'assets'];
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Hostel and record ids come from clients, so anything keyed by them has no prototype: an id
+// such as "__proto__" or "constructor" is then just another key
+function createMap(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+// Every accepted change gets the next sequence number; clients pull with the last one they saw
+class SyncStore {
+    constructor(snapshot = {}, now = () => Date.now()) {
+        this.seq = snapshot.seq || 0;
+        this.hostels = createMap();
+        Object.entries(snapshot.hostels || {}).forEach(([hostelId, hostel]) => {
+            this.hostels[hostelId] = this.createHostel(hostel);
+        });
+        this.now = now;
+    }
+
+    // Snapshots saved before a record type existed simply lack its bucket
+    createHostel(saved = {}) {
+        const hostel = { prunedSeq: saved.prunedSeq || 0 };
+        Object.values(CHANGE_BUCKETS).forEach(bucket => {
+            hostel[bucket] = createMap(saved[bucket]);
+        });
+        return hostel;
+    }
+
+    getHostel(hostelId) {
+        if (!Object.hasOwn(this.hostels, hostelId)) {
+            this.hostels[hostelId] = this.createHostel();
+        }
+        return this.hostels[hostelId];
+    }
+
+    changesSince(hostelId, since) {
+        const hostel = this.getHostel(hostelId);
+        // A client that is behind pruned entries may have missed a deletion, so it gets everything
+        const reset = since < hostel.prunedSeq;
+        const newer = entries => Object.values(entries)
+            .filter(entry => reset || entry.seq > since)
+            .map(entry => entry.record);
+
+        return {
+            cursor: this.seq,
+            reset: reset,
+            loads: newer(hostel.loads),
+            machines: newer(hostel.machines),
+            queue: newer(hostel.queue)
+        };
+    }
+
+    applyChanges(hostelId, changes) {
+        const hostel = this.getHostel(hostelId);
+        const accepted = [];
+        const conflicts = [];
+
+        changes.forEach(({ type, record }) => {
+            const entries = hostel[CHANGE_BUCKETS[type]];
+            const current = Object.hasOwn(entries, record.id) ? entries[record.id] : null;
+
+            // Last writer wins by updatedAt; on a tie the stored copy stays
+            if (current && Date.parse(current.record.updatedAt) >= Date.parse(record.updatedAt)) {
+                conflicts.push({ type: type, record: current.record });
+                return;
+            }
+
+            this.seq++;
+            entries[record.id] = { seq: this.seq, record: record };
+            accepted.push(record.id);
+        });
+
+        this.prune(hostel);
+        return { cursor: this.seq, accepted: accepted, conflicts: conflicts };
+    }
+
+    prune(hostel) {
+        const cutoff = this.now() - RETENTION_MS;
+        [[hostel.loads, ACTIVE_STATUSES], [hostel.queue, QUEUE_ACTIVE_STATUSES]].forEach(([entries, activeStatuses]) => {
+            Object.entries(entries).forEach(([id, entry]) => {
+                const finished = entry.record.deleted || !activeStatuses.includes(entry.record.status);
+                if (finished && Date.parse(entry.record.updatedAt) < cutoff) {
+                    delete entries[id];
+                    hostel.prunedSeq = Math.max(hostel.prunedSeq, entry.seq);
+                }
+            });
+        });
+    }
+
+    toJSON() {
+        return { seq: this.seq, hostels: this.hostels };
+    }
+}
+
+// Development mailer: prints each message and keeps the latest ones for GET /api/mail (with --dev).
+// A real mailer only needs the same send(message) method.
+class MockMailer {
+    constructor(directory = null) {
+        this.directory = directory;
+        this.messages = [];
+        this.count = 0;
+    }
+
+    async send(message) {
+        this.count++;
+        const sent = { id: this.count, to: message.to, subject: message.subject, text: message.text, sentAt: new Date().toISOString() };
+        this.messages = [...this.messages, sent].slice(-MAX_MOCK_MESSAGES);
+        console.log(`[mock mailer] to ${sent.to}: ${sent.subject}`);
+
+        if (this.directory) {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.writeFileSync(path.join(this.directory, `${Date.now()}-${sent.id}.json`), JSON.stringify(sent, null, 2));
+        }
+        return sent;
+    }
+}
+
+// Counts requests per client address in fixed windows
+class RateLimiter {
+    constructor(limit, windowMs, now = () => Date.now()) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.now = now;
+        this.windows = new Map();
+    }
+
+    // Counts one more request from the client; returns how many ms it must wait, or 0 if allowed
+    take(client) {
+        const now = this.now();
+        // Forget finished windows so clients that went away do not pile up
+        this.windows.forEach((entry, key) => {
+            if (now >= entry.resetAt) this.windows.delete(key);
+        });
+
+        const entry = this.windows.get(client) || { count: 0, resetAt: now + this.windowMs };
+        this.windows.set(client, entry);
+        if (entry.count >= this.limit) return entry.resetAt - now;
+        entry.count++;
+        return 0;
+    }
+}
+
+// Browsers send Origin with every POST, so a page from anywhere else (or a request that hides
+// where it came from) is turned away
+function isSameOrigin(req) {
+    return typeof req.headers.origin === 'string' && typeof req.headers.host === 'string' &&
+        (req.headers.origin === `http://${req.headers.host}` || req.headers.origin === `https://${req.headers.host}`);
+}
+
+function isValidMessage(message) {
+    return !!message && typeof message === 'object' &&
+        typeof message.to === 'string' && MAIL_RECIPIENT_PATTERN.test(message.to) &&
+        typeof message.subject === 'string' && message.subject.length > 0 && message.subject.length <= 200 &&
+        typeof message.text === 'string' && message.text.length <= 10000;
+}
+
+function isValidChange(change) {
+    const record = change && change.record;
+    return !!record && typeof record === 'object' &&
+        Object.keys(CHANGE_BUCKETS).includes(change.type) &&
+        typeof record.id === 'string' && record.id.length > 0 &&
+        typeof record.updatedAt === 'string' && !isNaN(Date.parse(record.updatedAt)) &&
+        (change.type === 'machine' || record.deleted === true || typeof record.status === 'string');
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function loadSnapshot(file) {
+    if (!file || !fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Ignoring unreadable sync data in ${file}:`, error.message);
+        return {};
+    }
+}
+
+function saveSnapshot(file, store) {
+    if (!file) return;
+    // Write then rename so a crash never leaves a half-written file behind
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(store));
+    fs.renameSync(temp, file);
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Malformed escapes such as /%E0%A4%A
+        throw new HttpError(400, 'Bad request path');
+    }
+    const filePath = path.join(APP_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+    const parts = path.relative(APP_ROOT, filePath).split(path.sep);
+    const allowed = parts.length === 1
+        ? STATIC_FILES.includes(parts[0])
+        : STATIC_DIRS.includes(parts[0]) && path.extname(filePath) in STATIC_TYPES;
+
+    if (!allowed || !filePath.startsWith(APP_ROOT + path.sep) || parts.some(part => part.startsWith('.'))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': STATIC_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(content);
+    });
+}
+
+function createServer(store, options = {}) {
+    const dataFile = options.dataFile || null;
+    const mailer = options.mailer || new MockMailer();
+    // Responses are readable from any origin, so sent mail is only listed when asked for
+    const listMail = options.listMail === true;
+    const mailLimiter = options.mailLimiter || new RateLimiter(MAIL_RATE_LIMIT, MAIL_RATE_WINDOW_MS);
+
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+
+            // The app may be opened from another origin (or file://) during development and
+            // still sync; mail is only for the app this server serves
+            if (url.pathname !== '/api/mail') {
+                res.setHeader('Access-Control-Allow-Origin', '*');
+                res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            }
+
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+
+            if (url.pathname === '/api/health') {
+                sendJson(res, 200, { ok: true, cursor: store.seq });
+                return;
+            }
+
+            if (url.pathname === '/api/mail') {
+                if (req.method === 'GET' && listMail) {
+                    sendJson(res, 200, { messages: mailer.messages || [] });
+                } else if (req.method === 'GET') {
+                    throw new HttpError(404, 'Not found');
+                } else if (req.method === 'POST') {
+                    if (!isSameOrigin(req)) {
+                        throw new HttpError(403, 'Mail can only be sent from the tracker this server serves');
+                    }
+                    const wait = mailLimiter.take(req.socket.remoteAddress);
+                    if (wait > 0) {
+                        res.setHeader('Retry-After', String(Math.ceil(wait / 1000)));
+                        throw new HttpError(429, 'Too many emails; try again later');
+                    }
+                    const message = await readJsonBody(req);
+                    if (!isValidMessage(message)) {
+                        throw new HttpError(400, 'Expected { to, subject, text } for an @aitpune.edu.in address');
+                    }
+                    await mailer.send(message);
+                    sendJson(res, 202, { queued: true });
+                } else {
+                    throw new HttpError(405, 'Method not allowed');
+                }
+                return;
+            }
+
+            const match = url.pathname.match(/^\/api\/hostels\/([^/]+)\/changes$/);
+            if (!match) {
+                if (url.pathname.startsWith('/api/') || req.method !== 'GET') {
+                    throw new HttpError(404, 'Not found');
+                }
+                serveStatic(req, res);
+                return;
+            }
+
+            const hostelId = match[1];
+            if (!HOSTEL_ID_PATTERN.test(hostelId)) {
+                throw new HttpError(400, 'Invalid hostel id');
+            }
+
+            if (req.method === 'GET') {
+                const since = parseInt(url.searchParams.get('since'), 10) || 0;
+                sendJson(res, 200, store.changesSince(hostelId, since));
+            } else if (req.method === 'POST') {
+                const body = await readJsonBody(req);
+                if (!body || !Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+                    throw new HttpError(400, 'Expected { changes: [{ type, record }] }');
+                }
+                const result = store.applyChanges(hostelId, body.changes);
+                saveSnapshot(dataFile, store);
+                sendJson(res, 200, result);
+            } else {
+                throw new HttpError(405, 'Method not allowed');
+            }
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error('Sync request failed:', error);
+            }
+            if (!res.headersSent) {
+                sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error' });
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    const store = new SyncStore(loadSnapshot(DATA_FILE));
+    createServer(store, { dataFile: DATA_FILE, mailer: new MockMailer(MAIL_DIR), listMail: DEV_MODE }).listen(PORT, () => {
+        console.log(`Laundry sync server on http://localhost:${PORT}${DATA_FILE ? ` (data in ${DATA_FILE})` : ''}` +
+            (DEV_MODE ? ' in dev mode: GET /api/mail lists sent mail' : ''));
+    });
+}
+
+module.exports = { SyncStore, MockMailer, RateLimiter, createServer };
@@ -0,0 +1,342 @@
+// Bump CACHE_VERSION whenever a precached file changes so clients pick up the new build
+const CACHE_VERSION = 'v32';
+const CACHE_PREFIX = 'laundry-tracker-';
+const APP_CACHE = `${CACHE_PREFIX}app-${CACHE_VERSION}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts-${CACHE_VERSION}`;
+// Scheduled alerts must survive updates, so this cache is not versioned
+const ALERT_CACHE = `${CACHE_PREFIX}alerts`;
+const ALERT_STORE_URL = 'alert-store.json';
+
+const NOTIFICATION_ICON = 'assets/ait-pune-logo.svg';
+const SNOOZE_MINUTES = 5;
+const MAX_TIMEOUT_MS = 2147483647;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/app.js',
+    'js/defaults.js',
+    'js/export-formats.js',
+    'js/format.js',
+    'js/history.js',
+    'js/load-state.js',
+    'js/mailer.js',
+    'js/main.js',
+    'js/plans.js',
+    'js/queue.js',
+    'js/stats.js',
+    'js/storage.js',
+    'js/sync-backend.js',
+    'js/sync-merge.js',
+    'js/timer-scheduler.js',
+    'js/view.js',
+    'assets/ait-pune-logo.svg',
+    'manifest.webmanifest'
+];
+
+const FONT_AWESOME_PREFIX = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/';
+
+// The app only uses solid (fas) icons, so that is the only webfont worth fetching up front
+const FONT_AWESOME_URLS = [
+    `${FONT_AWESOME_PREFIX}css/all.min.css`,
+    `${FONT_AWESOME_PREFIX}webfonts/fa-solid-900.woff2`
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const appCache = await caches.open(APP_CACHE);
+        await appCache.addAll(PRECACHE_URLS);
+
+        // Icons are nice to have; a CDN hiccup should not block installing the app
+        try {
+            const fontCache = await caches.open(FONT_CACHE);
+            await fontCache.addAll(FONT_AWESOME_URLS.map(url => new Request(url, { mode: 'cors' })));
+        } catch (error) {
+            console.warn('Could not precache Font Awesome:', error);
+        }
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && ![APP_CACHE, FONT_CACHE, ALERT_CACHE].includes(key))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+        await deliverDueAlerts();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    // Any wake-up is a chance to catch alerts whose timers died with a previous worker. It goes
+    // first: when the page finishes a cycle it reschedules or cancels that load's alert, and one
+    // that is already due must still be shown (once) before it is replaced.
+    event.waitUntil(deliverDueAlerts());
+
+    switch (message.type) {
+        case 'SKIP_WAITING':
+            // The page asks the waiting worker to take over once the user accepts the update prompt
+            self.skipWaiting();
+            break;
+        case 'SCHEDULE_ALERT':
+            event.waitUntil(scheduleAlert(message.alert));
+            break;
+        case 'CANCEL_ALERT':
+            event.waitUntil(cancelAlert(message));
+            break;
+        case 'FLUSH_ACTIONS':
+            event.waitUntil(flushPendingActions(event.source));
+            break;
+    }
+});
+
+// Browsers with periodic background sync wake the worker now and then even with no tab open
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'laundry-alerts') {
+        event.waitUntil(deliverDueAlerts());
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification;
+    const data = notification.data || {};
+    notification.close();
+
+    if (!data.loadId) {
+        event.waitUntil(focusApp());
+        return;
+    }
+
+    if (event.action === 'snooze') {
+        const until = Date.now() + SNOOZE_MINUTES * 60 * 1000;
+        event.waitUntil(Promise.all([
+            scheduleAlert({ loadId: data.loadId, kind: data.kind, title: notification.title, body: notification.body, at: until }),
+            sendAction({ action: 'snooze', loadId: data.loadId, until: until })
+        ]));
+    } else if (event.action) {
+        event.waitUntil(sendAction({ action: event.action, loadId: data.loadId }));
+    } else {
+        event.waitUntil(focusApp());
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    if (request.url.startsWith(FONT_AWESOME_PREFIX)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Shared hostel status must always come fresh from the sync server
+    if (url.pathname.includes('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(appShell(request));
+        return;
+    }
+
+    event.respondWith(cacheFirst(request));
+});
+
+async function appShell(request) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true }) || await cache.match('index.html');
+    return cached || fetch(request);
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+// Serve icons from cache straight away and refresh them in the background
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+// Completion Alerts
+// Best effort once every tab is closed, and the page says so. Notification Triggers would let the
+// browser show the alert itself, but they never shipped outside an origin trial. Elsewhere the
+// worker keeps its own timers, which die when the browser stops an idle worker (after about 30 s),
+// so due alerts are re-checked whenever the worker is woken up again.
+const supportsTriggers = typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+const alertTimers = new Map();
+
+// Alerts are for a load ({ loadId }) or a plan's next reminder ({ planId }); the key doubles as the
+// notification tag, so a newer alert for the same load or plan replaces the older one
+function alertKey(alert) {
+    return alert.planId ? `plan-${alert.planId}` : `load-${alert.loadId}`;
+}
+
+async function readStore() {
+    const cache = await caches.open(ALERT_CACHE);
+    const response = await cache.match(ALERT_STORE_URL);
+    const store = response ? await response.json() : {};
+    // Stores written before plan alerts are keyed by bare load id
+    const alerts = {};
+    Object.values(store.alerts || {}).forEach(alert => {
+        alerts[alertKey(alert)] = alert;
+    });
+    return { alerts: alerts, pendingActions: store.pendingActions || [] };
+}
+
+async function writeStore(store) {
+    const cache = await caches.open(ALERT_CACHE);
+    await cache.put(ALERT_STORE_URL, new Response(JSON.stringify(store), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+// Events can overlap, so every read-modify-write of the store goes through one queue
+let storeQueue = Promise.resolve();
+
+function updateStore(mutate) {
+    const result = storeQueue.then(async () => {
+        const store = await readStore();
+        const value = mutate(store);
+        await writeStore(store);
+        return value;
+    });
+    storeQueue = result.catch(error => console.error('Alert store update failed:', error));
+    return result;
+}
+
+async function scheduleAlert(alert) {
+    await updateStore(store => {
+        store.alerts[alertKey(alert)] = alert;
+    });
+
+    if (supportsTriggers) {
+        await showAlert(alert, { showTrigger: new TimestampTrigger(alert.at) });
+    } else {
+        armAlertTimer(alert);
+    }
+}
+
+// target: { loadId } or { planId }
+async function cancelAlert(target) {
+    const key = alertKey(target);
+    await updateStore(store => {
+        delete store.alerts[key];
+    });
+
+    clearTimeout(alertTimers.get(key));
+    alertTimers.delete(key);
+
+    if (supportsTriggers) {
+        // Only withdraw alerts that have not been shown yet; a visible one is still useful
+        const pending = await self.registration.getNotifications({ tag: key, includeTriggered: true });
+        pending
+            .filter(notification => notification.timestamp > Date.now())
+            .forEach(notification => notification.close());
+    }
+}
+
+function armAlertTimer(alert) {
+    const key = alertKey(alert);
+    clearTimeout(alertTimers.get(key));
+    const delay = Math.min(Math.max(0, alert.at - Date.now()), MAX_TIMEOUT_MS);
+    alertTimers.set(key, setTimeout(deliverDueAlerts, delay));
+}
+
+async function deliverDueAlerts() {
+    const due = await updateStore(store => {
+        const now = Date.now();
+        const ready = Object.values(store.alerts).filter(alert => alert.at <= now);
+        ready.forEach(alert => delete store.alerts[alertKey(alert)]);
+        return ready;
+    });
+
+    // Triggered notifications were already handed to the browser when scheduled
+    if (!supportsTriggers) {
+        await Promise.all(due.map(alert => showAlert(alert)));
+    }
+}
+
+function showAlert(alert, extraOptions = {}) {
+    // A plan reminder only needs tapping to open the app
+    if (alert.planId) {
+        return self.registration.showNotification(alert.title, {
+            body: alert.body,
+            icon: NOTIFICATION_ICON,
+            tag: alertKey(alert),
+            renotify: true,
+            timestamp: alert.at,
+            data: { planId: alert.planId, kind: alert.kind },
+            ...extraOptions
+        });
+    }
+
+    const primary = alert.kind === 'transfer'
+        ? { action: 'transfer', title: 'Moved to dryer' }
+        : { action: 'collect', title: 'Mark collected' };
+
+    return self.registration.showNotification(alert.title, {
+        body: alert.body,
+        icon: NOTIFICATION_ICON,
+        tag: alertKey(alert),
+        renotify: true,
+        requireInteraction: true,
+        timestamp: alert.at,
+        data: { loadId: alert.loadId, kind: alert.kind },
+        actions: [primary, { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` }],
+        ...extraOptions
+    });
+}
+
+// Open pages apply the action straight away; otherwise it waits until the app is next opened
+async function sendAction(action) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        windows.forEach(client => client.postMessage({ type: 'ALERT_ACTION', ...action }));
+        return;
+    }
+
+    await updateStore(store => {
+        store.pendingActions.push(action);
+    });
+}
+
+async function flushPendingActions(client) {
+    if (!client) return;
+
+    const actions = await updateStore(store => {
+        const pending = store.pendingActions;
+        store.pendingActions = [];
+        return pending;
+    });
+
+    if (actions.length > 0) {
+        client.postMessage({ type: 'ALERT_ACTIONS', actions: actions });
+    }
+}
+
+async function focusApp() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        return windows[0].focus();
+    }
+    return self.clients.openWindow('./');
+}
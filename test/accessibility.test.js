@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { installDom } from './helpers/dom.js';
+import { FakeClock } from './helpers/fake-clock.js';
+import { START, createApp, submitLoad } from './helpers/tracker.js';
+
+const AXE_SOURCE = readFileSync(createRequire(import.meta.url).resolve('axe-core/axe.min.js'), 'utf8');
+const MINUTE = 60 * 1000;
+
+describe('accessibility', () => {
+    let uninstallDom;
+    let clock;
+    let tracker;
+    let view;
+
+    const card = load => view.findLoadElement('.load-item', load.id);
+    const pressKey = (target, key) => target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    const undoToasts = () => [...document.querySelectorAll('.notification')].filter(toast => toast.textContent.includes('Undo'));
+
+    // jsdom cannot lay out or paint, so colour contrast is left to manual checks
+    const runAxe = async () => {
+        const results = await window.axe.run(document, { rules: { 'color-contrast': { enabled: false } } });
+        // Array.from so the result is a Node array rather than one from the jsdom window
+        return Array.from(results.violations, violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+    };
+
+    beforeEach(() => {
+        uninstallDom = installDom();
+        window.eval(AXE_SOURCE);
+        clock = new FakeClock(START);
+        ({ tracker, view } = createApp({ clock }));
+    });
+
+    afterEach(() => uninstallDom());
+
+    describe('axe-core', () => {
+        test('finds no violations on the empty page', async () => {
+            assert.deepEqual(await runAxe(), []);
+        });
+
+        test('finds no violations with loads, toasts and an open dialog', async () => {
+            const load = submitLoad(tracker, { 'load-notes': 'Jeans' });
+            submitLoad(tracker, { 'load-machine': 'apj-w2' });
+            tracker.completeLoad(load.id);
+            tracker.cancelLoad(tracker.loads[1].id, true);
+            view.openEditDialog(load.id);
+
+            assert.deepEqual(await runAxe(), []);
+        });
+    });
+
+    describe('Delete on a load card', () => {
+        test('does nothing for a load awaiting pickup, whose card offers neither cancel nor delete', () => {
+            const load = submitLoad(tracker);
+            tracker.completeLoad(load.id);
+
+            pressKey(card(load), 'Delete');
+
+            assert.equal(load.status, 'awaiting-pickup');
+            assert.equal(undoToasts().length, 0);
+        });
+
+        test('cancels a running load and deletes a finished one', () => {
+            const load = submitLoad(tracker);
+
+            pressKey(card(load), 'Delete');
+            assert.equal(load.status, 'cancelled');
+
+            pressKey(card(load), 'Delete');
+            assert.equal(tracker.loads.includes(load), false);
+        });
+    });
+
+    describe('undo from the keyboard', () => {
+        test('moves focus to Undo and keeps the toast until it is used', () => {
+            const load = submitLoad(tracker);
+            card(load).focus();
+            pressKey(card(load), 'Delete');
+
+            const undo = document.activeElement;
+            assert.equal(undo.className, 'notification-action');
+            assert.equal(undo.textContent, 'Undo');
+
+            clock.advance(10 * MINUTE);
+            assert.ok(undo.isConnected);
+
+            undo.click();
+            assert.equal(tracker.loads[0].status, 'running');
+            assert.equal(undo.isConnected, false);
+            assert.equal(document.activeElement, card(tracker.loads[0]));
+        });
+
+        test('Escape or the dismiss button closes it and returns focus to the card', () => {
+            const load = submitLoad(tracker);
+            pressKey(card(load), 'Delete');
+
+            pressKey(document.activeElement, 'Escape');
+            assert.equal(undoToasts().length, 0);
+            assert.equal(document.activeElement, card(load));
+
+            pressKey(card(load), 'Delete');
+            document.querySelector('.notification-close').click();
+            assert.equal(tracker.loads.includes(load), false);
+            assert.equal(undoToasts().length, 0);
+        });
+
+        test('buttons pressed with Enter or Space count as keyboard use', () => {
+            const load = submitLoad(tracker);
+            // Keyboard activation dispatches a click whose detail (the click count) is 0
+            card(load).querySelector('.cancel-btn').dispatchEvent(new window.MouseEvent('click', { bubbles: true, detail: 0 }));
+
+            assert.equal(document.activeElement.textContent, 'Undo');
+        });
+
+        test('mouse users keep the timed toast and their focus', () => {
+            const load = submitLoad(tracker);
+            const button = card(load).querySelector('.cancel-btn');
+            button.focus();
+            button.dispatchEvent(new window.MouseEvent('click', { bubbles: true, detail: 1 }));
+
+            assert.notEqual(document.activeElement.className, 'notification-action');
+            assert.equal(document.querySelectorAll('.notification-close').length, 0);
+            clock.advance(6000);
+            assert.equal(undoToasts().length, 0);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { FakeClock } from './helpers/fake-clock.js';
+import { createServiceWorker } from './helpers/service-worker.js';
+import { START, createTracker } from './helpers/tracker.js';
+
+const MINUTE = 60 * 1000;
+
+describe('alerts with the service worker', () => {
+    let clock;
+    let tracker;
+    let worker;
+    let pageShown;
+
+    // Everything the person sees, whichever side showed it
+    const alertsFor = load => [...worker.shown, ...pageShown].filter(alert => alert.tag === `load-${load.id}`);
+    const planAlertsFor = plan => [...worker.shown, ...pageShown].filter(alert => alert.tag === `plan-${plan.id}`);
+    const addLoad = () => tracker.addLoad({ type: 'washing', location: 'apj', machineId: 'apj-w1', category: 'whites', duration: 30 });
+    // Due half an hour after START, a Monday
+    const addPlan = () => tracker.addPlan({ type: 'washing', location: 'apj', category: 'whites', duration: 30, weekday: 1, time: '12:30' });
+
+    beforeEach(t => {
+        globalThis.Notification = class {};
+        clock = new FakeClock(START);
+        tracker = createTracker({ clock });
+        worker = createServiceWorker(clock);
+        pageShown = [];
+
+        // As after attachServiceWorker with notifications allowed
+        tracker.notificationPermission = true;
+        tracker.swRegistration = { showNotification: (title, options) => pageShown.push({ title, ...options }) };
+        t.mock.method(tracker, 'postToServiceWorker', message => worker.postMessage(message));
+    });
+
+    afterEach(() => {
+        delete globalThis.Notification;
+    });
+
+    test('a finished load is alerted once while the tab is open', async () => {
+        const load = addLoad();
+        await worker.settle();
+
+        clock.advance(30 * MINUTE + 1000);
+        await worker.settle();
+
+        assert.equal(load.status, 'awaiting-pickup');
+        assert.deepEqual(alertsFor(load).map(alert => alert.title), ['Laundry Complete!']);
+    });
+
+    test('an alert due when the page finishes the cycle first is still shown once', async () => {
+        const load = addLoad();
+        await worker.settle();
+        worker.stop();
+
+        clock.advance(30 * MINUTE + 1000);
+        await worker.settle();
+
+        assert.deepEqual(alertsFor(load).map(alert => alert.title), ['Laundry Complete!']);
+    });
+
+    test('pickup reminders are alerted once each', async () => {
+        const load = addLoad();
+        await worker.settle();
+
+        clock.advance(30 * MINUTE + tracker.settings.pickupReminderMinutes * MINUTE + 1000);
+        await worker.settle();
+
+        assert.deepEqual(alertsFor(load).map(alert => alert.title), ['Laundry Complete!', 'Clothes still in the machine']);
+    });
+
+    test('a plan reminder is alerted once, by the worker', async () => {
+        const plan = addPlan();
+        await worker.settle();
+
+        clock.advance(30 * MINUTE + 1000);
+        await worker.settle();
+
+        assert.deepEqual(planAlertsFor(plan).map(alert => alert.title), ['Laundry plan due']);
+        assert.deepEqual(pageShown, []);
+    });
+
+    test('a plan reminder does not need the page to go off', async t => {
+        const plan = addPlan();
+        await worker.settle();
+        // As if the tab were closed: the page never looks at its plans again
+        t.mock.method(tracker, 'checkPlanReminders', () => {});
+
+        clock.advance(30 * MINUTE + 1000);
+        await worker.settle();
+
+        assert.deepEqual(planAlertsFor(plan).map(alert => alert.title), ['Laundry plan due']);
+    });
+
+    test('a plan already started early is not alerted', async () => {
+        const plan = addPlan();
+        addLoad();
+        await worker.settle();
+
+        clock.advance(30 * MINUTE + 1000);
+        await worker.settle();
+
+        assert.deepEqual(planAlertsFor(plan), []);
+    });
+});
@@ -0,0 +1,333 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { SCHEMA_VERSION, STORAGE_KEY } from '../js/storage.js';
+import { REMOTE_LOAD_GRACE_MS } from '../js/sync-merge.js';
+import { installDom } from './helpers/dom.js';
+import { FakeClock } from './helpers/fake-clock.js';
+import { MemoryStorage } from './helpers/memory-storage.js';
+import { START, createApp, createTracker, submitLoad } from './helpers/tracker.js';
+
+const MINUTE = 60 * 1000;
+
+describe('LaundryTracker with a fake clock', () => {
+    let uninstallDom;
+    let clock;
+    let local;
+
+    // Joins the queue from its form, as Asha on this device
+    const joinQueue = (location, machineType = '') => {
+        document.getElementById('queue-location').value = location;
+        document.getElementById('queue-machine-type').value = machineType;
+        document.getElementById('queue-name').value = 'Asha';
+        document.getElementById('join-queue-form').requestSubmit();
+    };
+
+    beforeEach(() => {
+        uninstallDom = installDom();
+        clock = new FakeClock(START);
+        local = new MemoryStorage();
+    });
+
+    afterEach(() => uninstallDom());
+
+    test('a load finishes exactly once when its time is up', t => {
+        const { tracker } = createApp({ clock, local });
+        const finishCycle = t.mock.method(tracker, 'finishCycle');
+        const load = submitLoad(tracker);
+
+        assert.equal(load.status, 'running');
+        assert.equal(load.startTime.getTime(), START);
+
+        clock.advance(30 * MINUTE - 1000);
+        assert.equal(load.status, 'running');
+        clock.advance(1000);
+        assert.equal(load.status, 'awaiting-pickup');
+        assert.equal(load.endTime.getTime(), START + 30 * MINUTE);
+
+        clock.advance(5 * MINUTE);
+        assert.equal(finishCycle.mock.callCount(), 1);
+    });
+
+    test('a tab that slept through the end catches up on its next tick', () => {
+        const { tracker } = createApp({ clock, local });
+        submitLoad(tracker);
+
+        clock.jump(2 * 60 * MINUTE);
+        clock.advance(1000);
+
+        assert.equal(tracker.loads[0].status, 'awaiting-pickup');
+    });
+
+    test('reopening the app later picks up from what was saved', () => {
+        submitLoad(createApp({ clock, local }).tracker);
+        assert.ok(JSON.parse(local.getItem(STORAGE_KEY)).loads.length === 1);
+
+        clock.jump(45 * MINUTE);
+        // Timers catch up on their own, page or no page
+        const reopened = createTracker({ clock, local });
+        clock.advance(1000);
+
+        assert.equal(reopened.loads[0].status, 'awaiting-pickup');
+    });
+
+    test('only queue entries for the sync hostel are sent to the server', () => {
+        const { tracker } = createApp({ clock, local });
+        tracker.settings.syncUrl = 'http://localhost:8787';
+        tracker.settings.syncHostel = 'apj';
+        joinQueue('ramanujan');
+        joinQueue('apj');
+
+        assert.equal(tracker.queue.length, 2);
+        assert.deepEqual(tracker.readOutbox().map(change => change.record.location), ['apj']);
+    });
+
+    test('the queue only offers a machine once its last load has been collected', () => {
+        const { tracker } = createApp({ clock, local });
+        const first = submitLoad(tracker);
+        submitLoad(tracker, { 'load-machine': 'apj-w2' });
+        joinQueue('apj', 'washer');
+        const [entry] = tracker.queue;
+        assert.equal(entry.status, 'waiting');
+
+        // The clothes are still in the washer, so the add-load form would refuse it too
+        tracker.completeLoad(first.id);
+        assert.equal(entry.status, 'waiting');
+        assert.equal(tracker.isMachineFree(tracker.getMachine('apj-w1')), false);
+        // Washer 2's cycle ends first, since nobody knows when washer 1 will be emptied
+        assert.equal(tracker.estimateQueueWait(entry), 30 * MINUTE);
+        assert.equal(document.querySelector('.queue-wait').textContent, 'About 30m wait');
+        assert.match(document.getElementById('notifications-container').textContent, /Washer 1 at APJ Hostel has finished/);
+
+        tracker.collectLoad(first.id);
+        assert.equal(entry.status, 'notified');
+    });
+
+    test("another device's load stops holding its machine once it is well past its finish", () => {
+        const { tracker } = createApp({ clock, local });
+        tracker.applyRemoteChanges({
+            loads: [{
+                id: 'remote-1',
+                clientId: 'other-device',
+                ownerName: 'Asha',
+                type: 'washing',
+                location: 'apj',
+                machineId: 'apj-w1',
+                category: 'whites',
+                duration: 30,
+                status: 'running',
+                startTime: new Date(START).toISOString(),
+                endTime: null,
+                pausedTime: 0,
+                pausedAt: null,
+                updatedAt: new Date(START).toISOString()
+            }]
+        });
+        const washer = tracker.getMachine('apj-w1');
+        assert.equal(tracker.isMachineFree(washer), false);
+
+        // Asha's device never syncs again
+        clock.advance(30 * MINUTE + REMOTE_LOAD_GRACE_MS);
+        assert.equal(tracker.isMachineFree(washer), false);
+        clock.advance(1000);
+        assert.equal(tracker.isMachineFree(washer), true);
+        assert.ok(submitLoad(tracker));
+    });
+
+    test('the category breakdown counts a category called constructor like any other', () => {
+        const { tracker } = createApp({ clock, local });
+        tracker.addCategory('constructor');
+        submitLoad(tracker, { 'load-category': 'constructor' });
+
+        const chart = document.getElementById('chart-category');
+        assert.equal(chart.querySelector('svg > title').textContent, 'constructor: 1');
+        assert.equal(chart.querySelector('rect > title').textContent, 'constructor: 1 load(s), 100%');
+    });
+
+    test('toasts go away on the injected clock, not the real one', () => {
+        const { tracker } = createApp({ clock, local });
+        tracker.notify('Saved', 'success');
+        assert.equal(document.querySelectorAll('.notification').length, 1);
+
+        clock.advance(4000);
+        assert.equal(document.querySelectorAll('.notification').length, 0);
+    });
+
+    test('a merging import turns down active loads for machines that are in use', async () => {
+        const { tracker } = createApp({ clock, local });
+        const current = submitLoad(tracker);
+        const running = (id, machineId) => ({
+            id, type: 'washing', location: 'apj', machineId, category: 'whites', duration: 30, notes: '',
+            status: 'running', startTime: new Date(START).toISOString(), endTime: null, pausedTime: 0, pausedAt: null
+        });
+        const file = {
+            text: async () => JSON.stringify({
+                version: `${SCHEMA_VERSION}.0`,
+                loads: [running('taken', 'apj-w1'), running('first', 'apj-w2'), running('second', 'apj-w2')]
+            })
+        };
+
+        await tracker.importData(file, 'merge');
+
+        assert.deepEqual(tracker.loads.filter(load => load.status === 'running').map(load => load.id).sort(), [current.id, 'first'].sort());
+        assert.match(document.getElementById('notifications-container').textContent, /1 added, 0 skipped, 2 rejected \(2 on a machine that is in use\)/);
+    });
+
+    test('an imported load waiting for pickup sends pickup reminders', async () => {
+        const { tracker } = createApp({ clock, local });
+        const file = {
+            text: async () => JSON.stringify({
+                version: `${SCHEMA_VERSION}.0`,
+                loads: [{
+                    id: 'waiting', type: 'washing', location: 'apj', machineId: 'apj-w1', category: 'whites', duration: 30, notes: '',
+                    status: 'awaiting-pickup', startTime: new Date(START - 35 * MINUTE).toISOString(),
+                    endTime: new Date(START - 5 * MINUTE).toISOString(), pausedTime: 0, pausedAt: null
+                }]
+            })
+        };
+
+        await tracker.importData(file, 'merge');
+        const [load] = tracker.loads;
+        clock.advance(5 * MINUTE);
+
+        assert.equal(load.lastReminderAt.getTime(), START + 5 * MINUTE);
+        assert.match(document.getElementById('notifications-container').textContent, /still waiting to be collected/);
+    });
+
+    test('a replacing import frees the machines of the loads it replaces for the queue', async () => {
+        const { tracker } = createApp({ clock, local });
+        submitLoad(tracker);
+        submitLoad(tracker, { 'load-machine': 'apj-w2' });
+        joinQueue('apj', 'washer');
+        const [entry] = tracker.queue;
+        assert.equal(entry.status, 'waiting');
+
+        await tracker.importData({ text: async () => JSON.stringify({ version: `${SCHEMA_VERSION}.0`, loads: [] }) }, 'replace');
+
+        assert.equal(tracker.loads.length, 0);
+        assert.equal(entry.status, 'notified');
+    });
+
+    test('a replacing import adds to the hostels, categories and presets everyone shares', async () => {
+        const { tracker } = createApp({ clock, local });
+        const before = structuredClone(tracker.config);
+        const file = {
+            text: async () => JSON.stringify({
+                version: `${SCHEMA_VERSION}.0`,
+                loads: [],
+                config: {
+                    hostels: [{ id: 'kalam', name: 'Kalam' }],
+                    categories: [{ id: 'quilts', name: 'Quilts' }],
+                    presets: []
+                }
+            })
+        };
+
+        await tracker.importData(file, 'replace');
+
+        assert.deepEqual(tracker.config.hostels.slice(0, -1), before.hostels);
+        assert.equal(tracker.config.hostels.at(-1).id, 'kalam');
+        assert.deepEqual(tracker.config.categories.slice(0, -1), before.categories);
+        assert.equal(tracker.config.categories.at(-1).id, 'quilts');
+        assert.deepEqual(tracker.config.presets, before.presets);
+    });
+});
+
+describe('LaundryTracker without a page', () => {
+    test('takes plain values and reports what changed', () => {
+        const clock = new FakeClock(START);
+        const tracker = createTracker({ clock });
+        const events = [];
+        tracker.subscribe((type, detail) => events.push({ type, detail }));
+
+        const load = tracker.addLoad({ type: 'washing', location: 'apj', machineId: 'apj-w1', category: 'whites', duration: 30 });
+
+        assert.equal(load.status, 'running');
+        assert.ok(events.some(event => event.type === 'change' && event.detail.part === 'loads'));
+        assert.ok(events.some(event => event.type === 'notify' && event.detail.message.startsWith('Started washing load')));
+
+        clock.advance(30 * MINUTE);
+        assert.equal(load.status, 'awaiting-pickup');
+        assert.ok(events.some(event => event.type === 'tick' && event.detail.loadIds.includes(load.id)));
+    });
+
+    test('turns down fields the form would not have let through', () => {
+        const tracker = createTracker();
+        const messages = [];
+        tracker.subscribe((type, detail) => {
+            if (type === 'notify') messages.push(detail);
+        });
+
+        assert.equal(tracker.addLoad({ type: 'washing', location: 'apj', machineId: 'apj-w1', category: 'whites', duration: NaN }), null);
+        assert.equal(tracker.addPlan({ type: 'washing', location: 'apj', category: 'whites', duration: 30, weekday: 9, time: '18:00' }), null);
+        assert.equal(tracker.loads.length, 0);
+        assert.equal(tracker.plans.length, 0);
+        assert.ok(tracker.isMachineFree(tracker.getMachine('apj-w1')));
+        assert.deepEqual(messages.map(message => message.type), ['error', 'error']);
+
+        const load = tracker.addLoad({ type: 'washing', location: 'apj', machineId: 'apj-w1', category: 'whites', duration: 30 });
+        assert.equal(tracker.editLoad(load.id, { category: 'whites', duration: -5 }), false);
+        assert.equal(load.duration, 30);
+    });
+
+    test('turns down a machine that is already in use', () => {
+        const tracker = createTracker();
+        const messages = [];
+        tracker.subscribe((type, detail) => {
+            if (type === 'notify') messages.push(detail);
+        });
+        const fields = { type: 'washing', location: 'apj', machineId: 'apj-w1', category: 'whites', duration: 30 };
+
+        tracker.addLoad(fields);
+        assert.equal(tracker.addLoad(fields), null);
+        assert.equal(tracker.loads.length, 1);
+        assert.equal(messages.at(-1).type, 'error');
+    });
+
+    test('moving a load to the dryer respects dryers held for someone else in the queue', () => {
+        const clock = new FakeClock(START);
+        const tracker = createTracker({ clock });
+        const messages = [];
+        tracker.subscribe((type, detail) => {
+            if (type === 'notify') messages.push(detail);
+        });
+
+        const load = tracker.addLoad({ type: 'both', location: 'apj', machineId: 'apj-w1', category: 'whites', duration: 30, dryDuration: 40 });
+        clock.advance(30 * MINUTE);
+        assert.equal(load.status, 'transfer');
+
+        // Ravi queued on another device and APJ's only dryer is being held for him
+        tracker.joinQueue({ location: 'apj', machineType: 'dryer', name: 'Ravi' });
+        const [entry] = tracker.queue;
+        entry.clientId = 'other-device';
+        assert.equal(entry.status, 'notified');
+
+        tracker.confirmTransfer(load.id);
+        assert.equal(load.status, 'transfer');
+        assert.match(messages.at(-1).message, /Free dryers are held for Ravi/);
+
+        // Once his turn has passed, the dryer is anyone's
+        clock.advance(tracker.settings.queueGraceMinutes * MINUTE);
+        tracker.confirmTransfer(load.id);
+        assert.equal(load.status, 'running');
+        assert.equal(load.machineId, 'apj-d1');
+    });
+
+    test('starting a plan with every machine busy offers the queue', () => {
+        const tracker = createTracker();
+        const messages = [];
+        tracker.subscribe((type, detail) => {
+            if (type === 'notify') messages.push(detail);
+        });
+        ['apj-w1', 'apj-w2'].forEach(machineId => tracker.addLoad({ type: 'washing', location: 'apj', machineId, category: 'whites', duration: 30 }));
+        const plan = tracker.addPlan({ type: 'washing', location: 'apj', category: 'colors', duration: 30, weekday: 1, time: '12:00' });
+
+        assert.equal(tracker.startPlan(plan.id), null);
+        const { message, action } = messages.at(-1);
+        assert.equal(message, 'No free washer at APJ Hostel right now');
+        assert.equal(action.label, 'Join queue');
+
+        action.handler();
+        assert.deepEqual(tracker.queue.map(entry => [entry.location, entry.machineType, entry.status]), [['apj', 'washer', 'waiting']]);
+    });
+});
@@ -0,0 +1,191 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { CSV_HEADER, buildCsv, buildICalendar, escapeCsvValue, foldICalendarLine } from '../js/export-formats.js';
+import { createLoad } from './helpers/loads.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+const LABELS = {
+    location: id => ({ apj: 'APJ Hostel' }[id] || id),
+    category: id => ({ whites: 'Whites' }[id] || id),
+    machine: id => ({ 'apj-w1': 'Washer 1' }[id] || ''),
+    alert: load => (load.stages && load.stageIndex < load.stages.length - 1
+        ? `Move your ${load.category} to the dryer.`
+        : `Your ${load.category} load is done.`)
+};
+
+// Collected ten minutes after a 30 minute cycle with a 5 minute pause
+const FINISHED = {
+    status: 'completed',
+    startTime: new Date(NOW - 60 * MINUTE),
+    endTime: new Date(NOW - 25 * MINUTE),
+    pausedTime: 5 * MINUTE,
+    collectedAt: new Date(NOW - 15 * MINUTE)
+};
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            i++;
+        } else {
+            field += char;
+        }
+    }
+
+    return rows;
+}
+
+// Unfolds continuation lines and unescapes text values into one object per VEVENT
+function parseICalendarEvents(text) {
+    const lines = text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+    const unescape = value => value.replace(/\\(n|[\\;,])/g, (match, char) => (char === 'n' ? '\n' : char));
+    const events = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+        } else if (line === 'END:VEVENT') {
+            events.push(event);
+            event = null;
+        } else if (event && !('ALARM' in event)) {
+            const [name, ...value] = line.split(':');
+            if (name === 'BEGIN') event.ALARM = true;
+            else event[name] = unescape(value.join(':'));
+        }
+    });
+
+    return events;
+}
+
+describe('CSV export', () => {
+    test('round-trips awkward text through a CSV parser', () => {
+        const notes = 'Jeans, "the good ones"\r\nand a sock; café 🧦';
+        const [header, row] = parseCsv(buildCsv([createLoad({ ...FINISHED, notes })], LABELS, NOW));
+
+        assert.deepEqual(header, CSV_HEADER);
+        assert.deepEqual(Object.fromEntries(header.map((name, index) => [name, row[index]])), {
+            id: 'load-1',
+            type: 'washing',
+            category: 'whites',
+            location: 'APJ Hostel',
+            machine: 'Washer 1',
+            status: 'completed',
+            start: new Date(NOW - 60 * MINUTE).toISOString(),
+            end: new Date(NOW - 25 * MINUTE).toISOString(),
+            planned_minutes: '30',
+            actual_minutes: '30.0',
+            paused_minutes: '5.0',
+            pickup_wait_minutes: '10.0',
+            notes: notes
+        });
+    });
+
+    // Deliberate: a spreadsheet would run these as formulas, so they come back with a leading
+    // apostrophe. Plain numbers such as -5 are left alone.
+    test('text that a spreadsheet would run as a formula gets an apostrophe', () => {
+        ['-cold wash', '+1 sock', '=SUM(A1)', '@mention'].forEach(notes => {
+            const [, row] = parseCsv(buildCsv([createLoad({ ...FINISHED, notes })], LABELS, NOW));
+            assert.equal(row.at(-1), `'${notes}`);
+        });
+
+        assert.equal(escapeCsvValue('-5'), '-5');
+        assert.equal(escapeCsvValue(' padded '), '" padded "');
+    });
+
+    test('unfinished loads leave the end and duration columns empty', () => {
+        const load = createLoad({ startTime: FINISHED.startTime });
+        const [header, row] = parseCsv(buildCsv([load], LABELS, NOW));
+        const field = name => row[header.indexOf(name)];
+
+        assert.equal(field('end'), '');
+        assert.equal(field('actual_minutes'), '');
+        assert.equal(field('pickup_wait_minutes'), '');
+    });
+});
+
+describe('iCalendar export', () => {
+    test('round-trips text and times through an unfolding parser', () => {
+        const notes = 'Jeans, towels; C:\\laundry and a very long note that needs folding across more than one line: é'.repeat(2);
+        const calendar = buildICalendar([createLoad({ ...FINISHED, notes })], LABELS, NOW);
+        const [event] = parseICalendarEvents(calendar);
+
+        assert.equal(event.UID, 'load-1@laundry-tracker.aitpune');
+        assert.equal(event.DTSTAMP, '20261019T120000Z');
+        assert.equal(event.DTSTART, '20261019T110000Z');
+        assert.equal(event.DTEND, '20261019T113500Z');
+        assert.equal(event.SUMMARY, 'Washing - Whites');
+        assert.equal(event.LOCATION, 'APJ Hostel - Washer 1');
+        assert.equal(event.DESCRIPTION, `Status: completed\nPlanned: 30 min\nNotes: ${notes}`);
+        assert.equal(event.STATUS, 'CONFIRMED');
+    });
+
+    test('no line is longer than 75 octets', () => {
+        const calendar = buildICalendar([createLoad({ ...FINISHED, notes: 'ü'.repeat(200) })], LABELS, NOW);
+        calendar.split('\r\n').forEach(line => assert.ok(new TextEncoder().encode(line).length <= 75));
+        assert.equal(foldICalendarLine('short'), 'short');
+    });
+
+    test('running loads end when expected and carry a reminder', () => {
+        const load = createLoad({ startTime: new Date(NOW - 10 * MINUTE) });
+        const calendar = buildICalendar([load], LABELS, NOW);
+
+        assert.equal(parseICalendarEvents(calendar)[0].DTEND, '20261019T122000Z');
+        assert.match(calendar, /BEGIN:VALARM\r\nACTION:DISPLAY\r\nDESCRIPTION:Your whites load is done\.\r\nTRIGGER;VALUE=DATE-TIME:20261019T122000Z/);
+    });
+
+    test('a wash & dry load is reminded to move to the dryer when the wash ends', () => {
+        const startTime = new Date(NOW - 10 * MINUTE);
+        const load = createLoad({
+            type: 'both',
+            duration: 70,
+            startTime: startTime,
+            stageIndex: 0,
+            stages: [
+                { name: 'wash', duration: 30, machineId: 'apj-w1', startTime: startTime, endTime: null, pausedTime: 0 },
+                { name: 'dry', duration: 40, machineId: null, startTime: null, endTime: null, pausedTime: 0 }
+            ]
+        });
+        const calendar = buildICalendar([load], LABELS, NOW);
+
+        assert.equal(parseICalendarEvents(calendar)[0].DTEND, '20261019T130000Z');
+        assert.match(calendar, /DESCRIPTION:Move your whites to the dryer\.\r\nTRIGGER;VALUE=DATE-TIME:20261019T122000Z/);
+    });
+
+    test('a delayed load cancelled before its start has no event', () => {
+        const cancelledEarly = createLoad({ id: 'early', status: 'cancelled', startTime: new Date(NOW + 60 * MINUTE), endTime: new Date(NOW) });
+        const cancelledLater = createLoad({ id: 'later', status: 'cancelled', startTime: FINISHED.startTime, endTime: new Date(NOW - 50 * MINUTE) });
+        const events = parseICalendarEvents(buildICalendar([cancelledEarly, cancelledLater], LABELS, NOW));
+
+        assert.deepEqual(events.map(event => event.UID), ['later@laundry-tracker.aitpune']);
+        assert.equal(events[0].STATUS, 'CANCELLED');
+        events.forEach(event => assert.ok(event.DTEND >= event.DTSTART));
+    });
+});
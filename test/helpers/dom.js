@@ -0,0 +1,40 @@
+// Loads index.html into jsdom and points the globals the app reads at it, so a LaundryTracker
+// can be built in Node. Call the returned function to put the globals back.
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const INDEX_HTML = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+const GLOBALS = ['window', 'document', 'navigator', 'Event', 'KeyboardEvent', 'FormData', 'HTMLElement', 'Node'];
+
+export function installDom(url = 'http://localhost/index.html') {
+    // outside-only lets tests evaluate scripts such as axe-core; the page's own scripts never run
+    const dom = new JSDOM(INDEX_HTML, { url, pretendToBeVisual: true, runScripts: 'outside-only' });
+    const { window } = dom;
+
+    // jsdom does not implement modal dialogs or scrolling
+    window.HTMLDialogElement.prototype.showModal = function () {
+        this.open = true;
+    };
+    window.HTMLDialogElement.prototype.close = function (returnValue) {
+        this.open = false;
+        if (returnValue !== undefined) this.returnValue = returnValue;
+        this.dispatchEvent(new window.Event('close'));
+    };
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    const previous = GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+
+    return () => {
+        previous.forEach(([name, descriptor]) => {
+            if (descriptor) {
+                Object.defineProperty(globalThis, name, descriptor);
+            } else {
+                delete globalThis[name];
+            }
+        });
+        window.close();
+    };
+}
@@ -0,0 +1,50 @@
+// A clock with the same shape as systemClock whose time only moves when a test says so.
+// The methods are arrow functions because TimerScheduler calls them unbound.
+export class FakeClock {
+    constructor(start) {
+        this.time = start;
+        this.timers = new Map();
+        this.nextHandle = 1;
+    }
+
+    now = () => this.time;
+
+    setTimer = (callback, delay) => {
+        const handle = this.nextHandle++;
+        this.timers.set(handle, { callback, at: this.time + Math.max(0, delay) });
+        return handle;
+    };
+
+    clearTimer = handle => {
+        this.timers.delete(handle);
+    };
+
+    get pending() {
+        return this.timers.size;
+    }
+
+    // Moves forward ms, running every timer that comes due on the way in order
+    advance(ms) {
+        const end = this.time + ms;
+
+        for (;;) {
+            let next = null;
+            this.timers.forEach((timer, handle) => {
+                if (timer.at <= end && (!next || timer.at < next.timer.at)) next = { handle, timer };
+            });
+            if (!next) break;
+
+            this.timers.delete(next.handle);
+            // Timers already overdue after a jump run at the current time, as real ones would
+            this.time = Math.max(this.time, next.timer.at);
+            next.timer.callback();
+        }
+
+        this.time = end;
+    }
+
+    // Changes the time without running anything, like a laptop waking up or a clock being reset
+    jump(ms) {
+        this.time += ms;
+    }
+}
@@ -0,0 +1,23 @@
+// A plain load record, as the tracker stores it, for tests of the modules that work on loads.
+// It is a washing load of whites on APJ's first washer that started at START and is still running.
+
+export const START = new Date(2026, 9, 19, 12, 0, 0).getTime();
+
+export function createLoad(fields = {}) {
+    return {
+        id: 'load-1',
+        type: 'washing',
+        location: 'apj',
+        machineId: 'apj-w1',
+        category: 'whites',
+        duration: 30,
+        notes: '',
+        status: 'running',
+        ownerId: 'default',
+        startTime: new Date(START),
+        endTime: null,
+        pausedTime: 0,
+        pausedAt: null,
+        ...fields
+    };
+}
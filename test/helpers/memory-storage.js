@@ -0,0 +1,31 @@
+// Web Storage backed by a Map. A quota in characters makes setItem fail the way browsers do.
+export class MemoryStorage {
+    constructor(entries = {}, quota = Infinity) {
+        this.items = new Map(Object.entries(entries));
+        this.quota = quota;
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        const used = [...this.items].reduce((sum, [itemKey, item]) => sum + (itemKey === key ? 0 : item.length), 0);
+        if (used + String(value).length > this.quota) {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        }
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
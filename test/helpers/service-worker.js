@@ -0,0 +1,100 @@
+// Runs sw.js in a sandbox on a FakeClock, with in-memory caches and no open windows, and
+// records every notification it shows.
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const SW_SOURCE = readFileSync(new URL('../../sw.js', import.meta.url), 'utf8');
+
+class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        const body = this.entries.get(String(request));
+        return body === undefined ? undefined : new Response(body);
+    }
+
+    async put(request, response) {
+        this.entries.set(String(request), await response.text());
+    }
+}
+
+export function createServiceWorker(clock) {
+    const listeners = {};
+    const pending = [];
+    const timers = new Set();
+    const caches = new Map();
+    const shown = [];
+
+    const context = {
+        console,
+        Response,
+        URL,
+        Date: class extends Date {
+            static now() {
+                return clock.now();
+            }
+        },
+        setTimeout: (callback, delay) => {
+            const handle = clock.setTimer(() => {
+                timers.delete(handle);
+                callback();
+            }, delay);
+            timers.add(handle);
+            return handle;
+        },
+        clearTimeout: handle => {
+            timers.delete(handle);
+            clock.clearTimer(handle);
+        },
+        caches: {
+            open: async name => {
+                if (!caches.has(name)) caches.set(name, new MemoryCache());
+                return caches.get(name);
+            },
+            keys: async () => [...caches.keys()],
+            delete: async name => caches.delete(name)
+        }
+    };
+    context.self = {
+        location: { origin: 'http://localhost' },
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        },
+        registration: {
+            showNotification: async (title, options) => {
+                shown.push({ title, ...options });
+            },
+            getNotifications: async () => []
+        },
+        clients: {
+            matchAll: async () => [],
+            claim: async () => {}
+        }
+    };
+    vm.runInNewContext(SW_SOURCE, context);
+
+    return {
+        shown,
+
+        // What the page's postToServiceWorker would deliver
+        postMessage(data) {
+            listeners.message({ data, source: null, waitUntil: promise => pending.push(promise) });
+        },
+
+        // Lets every queued store update and notification finish
+        async settle() {
+            while (pending.length > 0) {
+                await pending.shift();
+            }
+            await new Promise(resolve => setImmediate(resolve));
+        },
+
+        // The browser stops idle workers, and their timers with them
+        stop() {
+            timers.forEach(handle => clock.clearTimer(handle));
+            timers.clear();
+        }
+    };
+}
@@ -0,0 +1,41 @@
+// Builds a LaundryTracker on a fake clock and in-memory storage, with or without its page, and
+// drives the add-load form.
+import { LaundryTracker } from '../../js/app.js';
+import { LaundryView } from '../../js/view.js';
+import { StorageAdapter } from '../../js/storage.js';
+import { FakeClock } from './fake-clock.js';
+import { START } from './loads.js';
+import { MemoryStorage } from './memory-storage.js';
+
+export { START };
+
+// Just the tracker, started with no page at all. Pass `local` to keep what one tracker saved
+// for the next, as reopening the app would.
+export function createTracker({ clock = new FakeClock(START), local = new MemoryStorage(), session = new MemoryStorage() } = {}) {
+    const tracker = new LaundryTracker({ clock, storage: new StorageAdapter(local, session) });
+    tracker.start();
+    return tracker;
+}
+
+// The tracker and the view that renders it. Call installDom() first: the view renders into
+// whatever page the globals point at.
+export function createApp({ clock = new FakeClock(START), local = new MemoryStorage(), session = new MemoryStorage() } = {}) {
+    const tracker = new LaundryTracker({ clock, storage: new StorageAdapter(local, session) });
+    const view = new LaundryView(tracker);
+    tracker.start();
+    return { tracker, view };
+}
+
+// Fills in the add-load form the way a person would and submits it. Returns the load it added,
+// or undefined if the tracker turned it down.
+export function submitLoad(tracker, fields = {}) {
+    const before = new Set(tracker.loads);
+    const values = { 'load-type': 'washing', 'load-location': 'apj', 'load-machine': 'apj-w1', 'load-category': 'whites', duration: '30', ...fields };
+    Object.entries(values).forEach(([id, value]) => {
+        const field = document.getElementById(id);
+        field.value = value;
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    document.getElementById('add-load-form').requestSubmit();
+    return tracker.loads.find(load => !before.has(load));
+}
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { DEFAULT_HISTORY_FILTERS, filterLoads, parseHistoryFilters, sortLoads } from '../js/history.js';
+import { createLoad } from './helpers/loads.js';
+
+const LOADS = [
+    createLoad({
+        id: 'a',
+        status: 'completed',
+        notes: 'Blue JEANS',
+        startTime: new Date(2026, 9, 17, 23, 30),
+        endTime: new Date(2026, 9, 18, 0, 10)
+    }),
+    createLoad({
+        id: 'b',
+        status: 'completed',
+        category: 'darks',
+        startTime: new Date(2026, 9, 18, 0, 0),
+        endTime: new Date(2026, 9, 18, 0, 20)
+    }),
+    createLoad({ id: 'c', location: 'kalam', startTime: new Date(2026, 9, 19, 9, 0) })
+];
+
+describe('filterLoads', () => {
+    const filter = fields => filterLoads(LOADS, { ...DEFAULT_HISTORY_FILTERS, ...fields }).map(load => load.id);
+
+    test('searches notes without regard to case', () => {
+        assert.deepEqual(filter({ q: ' jeans ' }), ['a']);
+    });
+
+    test('matches each field exactly', () => {
+        assert.deepEqual(filter({ category: 'darks' }), ['b']);
+        assert.deepEqual(filter({ location: 'kalam', status: 'running' }), ['c']);
+    });
+
+    test('date ranges are local days with both ends included', () => {
+        assert.deepEqual(filter({ from: '2026-10-18', to: '2026-10-18' }), ['b']);
+        assert.deepEqual(filter({ to: '2026-10-17' }), ['a']);
+    });
+});
+
+describe('sortLoads', () => {
+    const sort = order => sortLoads(LOADS, order).map(load => load.id);
+
+    test('sorts by start time, newest first by default', () => {
+        assert.deepEqual(sort('newest'), ['c', 'b', 'a']);
+        assert.deepEqual(sort('oldest'), ['a', 'b', 'c']);
+        assert.deepEqual(sort('bogus'), ['c', 'b', 'a']);
+    });
+
+    test('loads still running sort last by duration either way', () => {
+        assert.deepEqual(sort('longest'), ['a', 'b', 'c']);
+        assert.deepEqual(sort('shortest'), ['b', 'a', 'c']);
+    });
+
+    test('leaves the original list alone', () => {
+        sortLoads(LOADS, 'oldest');
+        assert.deepEqual(LOADS.map(load => load.id), ['a', 'b', 'c']);
+    });
+});
+
+describe('parseHistoryFilters', () => {
+    test('reads bookmarked filters from the query string', () => {
+        const filters = parseHistoryFilters(new URLSearchParams('q=jeans&sort=oldest&page=3&from=2026-10-01'));
+        assert.deepEqual(filters, { ...DEFAULT_HISTORY_FILTERS, q: 'jeans', sort: 'oldest', page: 3, from: '2026-10-01' });
+    });
+
+    test('unusable values fall back to the defaults', () => {
+        const filters = parseHistoryFilters(new URLSearchParams('sort=sideways&page=abc&to=someday'));
+        assert.deepEqual(filters, DEFAULT_HISTORY_FILTERS);
+    });
+});
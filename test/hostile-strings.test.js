@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { SCHEMA_VERSION } from '../js/storage.js';
+import { installDom } from './helpers/dom.js';
+import { START, createApp, submitLoad } from './helpers/tracker.js';
+
+const IMAGE = '<img src=x onerror="window.pwned = true">';
+const SCRIPT = '</p><script>window.pwned = true</script>';
+const HANDLER = '" autofocus onfocus="window.pwned = true';
+
+// Whatever the user or a file supplies must come out as text: no new elements, no handlers
+describe('hostile strings are rendered as text', () => {
+    let uninstallDom;
+    let tracker;
+    let view;
+    let baseline;
+
+    const injected = () => document.querySelectorAll('img, script, [onerror], [onfocus]').length - baseline;
+    const pageText = () => document.body.textContent;
+
+    beforeEach(() => {
+        uninstallDom = installDom();
+        ({ tracker, view } = createApp());
+        baseline = document.querySelectorAll('img, script, [onerror], [onfocus]').length;
+    });
+
+    afterEach(() => uninstallDom());
+
+    test('in load notes', () => {
+        submitLoad(tracker, { 'load-notes': IMAGE + SCRIPT });
+
+        assert.equal(tracker.loads[0].notes, IMAGE + SCRIPT);
+        assert.ok(pageText().includes(IMAGE + SCRIPT));
+        assert.equal(injected(), 0);
+        assert.equal(window.pwned, undefined);
+    });
+
+    test('in category and hostel names', () => {
+        document.getElementById('new-category-name').value = IMAGE;
+        document.getElementById('add-category-form').requestSubmit();
+        document.getElementById('new-hostel-name').value = HANDLER;
+        document.getElementById('new-hostel-washers').value = '1';
+        document.getElementById('add-hostel-form').requestSubmit();
+
+        assert.ok(tracker.config.categories.some(category => category.name === IMAGE));
+        assert.ok([...document.querySelectorAll('#load-category option')].some(option => option.textContent === IMAGE));
+        assert.ok([...document.querySelectorAll('#load-location option')].some(option => option.textContent === HANDLER));
+        assert.equal(injected(), 0);
+    });
+
+    test('in subscription emails', () => {
+        view.openSubscribeDialog();
+        document.getElementById('subscribe-email').value = `${IMAGE}@aitpune.edu.in`;
+        document.getElementById('subscribe-form').requestSubmit();
+
+        assert.equal(tracker.subscriptions.length, 0);
+        assert.match(document.getElementById('subscribe-error').textContent, /email address/);
+        assert.equal(injected(), 0);
+    });
+
+    test('in imported JSON', async t => {
+        t.mock.method(console, 'warn', () => {});
+        const load = {
+            id: 'imported-1',
+            type: 'washing',
+            location: IMAGE,
+            category: SCRIPT,
+            duration: 30,
+            notes: HANDLER,
+            status: 'completed',
+            startTime: new Date(START - 3600000).toISOString(),
+            endTime: new Date(START - 1800000).toISOString(),
+            pausedTime: 0,
+            pausedAt: null
+        };
+        const file = {
+            text: async () => JSON.stringify({
+                version: `${SCHEMA_VERSION}.0`,
+                loads: [load],
+                config: {
+                    hostels: [{ id: IMAGE, name: IMAGE }],
+                    categories: [{ id: SCRIPT, name: SCRIPT }],
+                    presets: [{ id: 'p1', name: HANDLER, type: 'washing', duration: 30 }]
+                }
+            })
+        };
+
+        await tracker.importData(file, 'merge');
+        view.updateDisplay();
+
+        assert.equal(tracker.loads.length, 1);
+        assert.ok(pageText().includes(IMAGE));
+        assert.ok(pageText().includes(SCRIPT));
+        assert.ok([...document.querySelectorAll('#load-preset option')].some(option => option.textContent.includes(HANDLER)));
+        assert.equal(injected(), 0);
+        assert.equal(window.pwned, undefined);
+    });
+});
@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import * as LoadState from '../js/load-state.js';
+import { START, createLoad } from './helpers/loads.js';
+
+const MINUTE = 60 * 1000;
+
+function createStagedLoad() {
+    return createLoad({
+        type: 'both',
+        machineId: 'apj-w1',
+        stages: [
+            LoadState.createStage('wash', 30, 'apj-w1', new Date(START)),
+            LoadState.createStage('dry', 40, null, null)
+        ],
+        stageIndex: 0
+    });
+}
+
+describe('pause and resume accounting', () => {
+    test('time spent paused does not count as run time', () => {
+        const load = createLoad();
+
+        assert.ok(LoadState.pauseLoad(load, START + 10 * MINUTE));
+        assert.equal(LoadState.getElapsedTime(load, START + 25 * MINUTE), 10 * MINUTE);
+        assert.equal(LoadState.getRemainingTime(load, START + 25 * MINUTE), 20 * MINUTE);
+
+        assert.ok(LoadState.resumeLoad(load, START + 25 * MINUTE));
+        assert.equal(load.pausedTime, 15 * MINUTE);
+        assert.equal(load.pausedAt, null);
+        assert.equal(LoadState.getElapsedTime(load, START + 30 * MINUTE), 15 * MINUTE);
+    });
+
+    test('repeated pauses add up', () => {
+        const load = createLoad();
+
+        LoadState.pauseLoad(load, START + 5 * MINUTE);
+        LoadState.resumeLoad(load, START + 7 * MINUTE);
+        LoadState.pauseLoad(load, START + 10 * MINUTE);
+        LoadState.resumeLoad(load, START + 13 * MINUTE);
+
+        assert.equal(load.pausedTime, 5 * MINUTE);
+        assert.equal(LoadState.getRemainingTime(load, START + 20 * MINUTE), 15 * MINUTE);
+    });
+
+    test('the current stage is credited with the pause too', () => {
+        const load = createStagedLoad();
+
+        LoadState.pauseLoad(load, START + 10 * MINUTE);
+        LoadState.resumeLoad(load, START + 14 * MINUTE);
+
+        assert.equal(load.stages[0].pausedTime, 4 * MINUTE);
+        assert.equal(load.stages[1].pausedTime, 0);
+        assert.equal(LoadState.getStageElapsedTime(load, load.stages[0], START + 14 * MINUTE), 10 * MINUTE);
+    });
+
+    test('completing a paused load closes the open pause', () => {
+        const load = createLoad();
+
+        LoadState.pauseLoad(load, START + 10 * MINUTE);
+        assert.ok(LoadState.completeLoad(load, START + 16 * MINUTE));
+
+        assert.equal(load.status, 'awaiting-pickup');
+        assert.equal(load.pausedTime, 6 * MINUTE);
+        assert.equal(load.pausedAt, null);
+        assert.equal(LoadState.getActualDuration(load), 10 * MINUTE);
+    });
+
+    test('a wash & dry load only counts the time its stages ran', () => {
+        const load = createStagedLoad();
+
+        LoadState.pauseLoad(load, START + 10 * MINUTE);
+        LoadState.resumeLoad(load, START + 15 * MINUTE);
+        LoadState.awaitTransfer(load, START + 35 * MINUTE);
+        // Twenty minutes waiting for the dryer, then a pause the cancel cuts short
+        LoadState.startNextStage(load, 'apj-d1', START + 55 * MINUTE);
+        LoadState.pauseLoad(load, START + 70 * MINUTE);
+        assert.ok(LoadState.cancelLoad(load, START + 80 * MINUTE));
+
+        assert.equal(load.pausedAt, null);
+        assert.equal(load.stages[1].pausedTime, 10 * MINUTE);
+        assert.equal(LoadState.getActualDuration(load), (30 + 15) * MINUTE);
+    });
+
+    test('pause and resume only apply from running and paused', () => {
+        const load = createLoad();
+
+        assert.equal(LoadState.resumeLoad(load, START), false);
+        assert.ok(LoadState.pauseLoad(load, START));
+        assert.equal(LoadState.pauseLoad(load, START + MINUTE), false);
+        assert.equal(load.pausedAt.getTime(), START);
+    });
+});
+
+describe('transitions', () => {
+    test('a wash and dry load goes through transfer, pickup and collection', () => {
+        const load = createStagedLoad();
+
+        assert.equal(LoadState.getCycleEndStatus(load), 'transfer');
+        assert.ok(LoadState.awaitTransfer(load, START + 30 * MINUTE));
+        assert.equal(load.stages[0].endTime.getTime(), START + 30 * MINUTE);
+
+        assert.ok(LoadState.startNextStage(load, 'apj-d1', START + 32 * MINUTE));
+        assert.equal(load.stageIndex, 1);
+        assert.equal(load.machineId, 'apj-d1');
+        assert.equal(LoadState.getCycleEndStatus(load), 'awaiting-pickup');
+        assert.equal(LoadState.getRemainingTime(load, START + 42 * MINUTE), 30 * MINUTE);
+
+        assert.ok(LoadState.completeLoad(load, START + 72 * MINUTE));
+        assert.equal(LoadState.getPickupWait(load, START + 80 * MINUTE), 8 * MINUTE);
+
+        assert.ok(LoadState.collectLoad(load, START + 80 * MINUTE));
+        assert.equal(load.status, 'completed');
+        assert.equal(LoadState.getPickupWait(load, START + 500 * MINUTE), 8 * MINUTE);
+    });
+
+    test('finished loads cannot move again', () => {
+        const load = createLoad();
+        LoadState.cancelLoad(load, START + MINUTE);
+
+        assert.equal(LoadState.cancelLoad(load, START + 2 * MINUTE), false);
+        assert.equal(LoadState.completeLoad(load, START + 2 * MINUTE), false);
+        assert.equal(LoadState.collectLoad(load, START + 2 * MINUTE), false);
+        assert.equal(load.endTime.getTime(), START + MINUTE);
+    });
+
+    test('a delayed load counts down to its start before its cycle', () => {
+        const load = createLoad({ status: 'scheduled', startTime: new Date(START + 60 * MINUTE) });
+
+        assert.equal(LoadState.getTimeUntilStart(load, START), 60 * MINUTE);
+        assert.equal(LoadState.getRemainingTime(load, START), 90 * MINUTE);
+        assert.ok(LoadState.startScheduledLoad(load));
+        assert.equal(LoadState.getTimeUntilStart(load, START), 0);
+    });
+
+    test('cancelling a delayed load before it starts leaves its stages untouched', () => {
+        const load = createStagedLoad();
+        load.status = 'scheduled';
+        load.startTime = new Date(START + 60 * MINUTE);
+        load.stages[0].startTime = load.startTime;
+
+        assert.ok(LoadState.cancelLoad(load, START));
+        assert.equal(load.stages[0].endTime, null);
+        assert.equal(LoadState.getActualDuration(load), 0);
+    });
+});
+
+describe('stored records', () => {
+    const stored = record => JSON.parse(JSON.stringify(record));
+
+    test('valid records survive a save and load', () => {
+        const load = createStagedLoad();
+        const { valid, rejected } = LoadState.partitionLoadRecords([stored(load)]);
+
+        assert.equal(rejected.length, 0);
+        const revived = LoadState.reviveLoadDates(valid[0]);
+        assert.deepEqual(revived, load);
+    });
+
+    test('damaged and duplicate records are rejected with a reason', () => {
+        const load = stored(createLoad());
+        const { valid, rejected } = LoadState.partitionLoadRecords([
+            load,
+            { ...load },
+            { ...load, id: 'load-2', status: 'spinning' },
+            'not a load'
+        ]);
+
+        assert.equal(valid.length, 1);
+        assert.deepEqual(rejected.map(entry => entry.reason), ['Duplicate load id', 'Failed schema validation', 'Failed schema validation']);
+    });
+});
+
+describe('getLoadFieldsError', () => {
+    const fields = overrides => ({ type: 'washing', location: 'apj', category: 'whites', duration: 30, ...overrides });
+
+    test('accepts what the add-load form gives', () => {
+        assert.equal(LoadState.getLoadFieldsError(fields()), null);
+        assert.equal(LoadState.getLoadFieldsError(fields({ type: 'both', dryDuration: 40, notes: 'blue bag' })), null);
+    });
+
+    test('turns down fields a stored load would be rejected for', () => {
+        [
+            { type: 'spinning' },
+            { location: '' },
+            { category: null },
+            { duration: NaN },
+            { duration: 0 },
+            { type: 'both', dryDuration: undefined },
+            { notes: 42 }
+        ].forEach(overrides => assert.ok(LoadState.getLoadFieldsError(fields(overrides)), JSON.stringify(overrides)));
+    });
+});
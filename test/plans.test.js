@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import * as Plans from '../js/plans.js';
+import { createLoad } from './helpers/loads.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Mondays at 18:30, created on Monday 5 October 2026
+function createPlan(fields = {}) {
+    return {
+        id: 'plan-1',
+        name: 'Whites',
+        type: 'washing',
+        location: 'apj',
+        category: 'whites',
+        duration: 30,
+        weekday: 1,
+        time: '18:30',
+        ownerId: 'default',
+        createdAt: new Date(2026, 9, 5, 9, 0),
+        remindedAt: null,
+        ...fields
+    };
+}
+
+describe('getPlanOccurrences', () => {
+    test('lists each weekly time in the range, in local time', () => {
+        const occurrences = Plans.getPlanOccurrences(createPlan(), new Date(2026, 9, 1), new Date(2026, 9, 20));
+
+        assert.deepEqual(occurrences.map(date => date.getTime()), [
+            new Date(2026, 9, 5, 18, 30).getTime(),
+            new Date(2026, 9, 12, 18, 30).getTime(),
+            new Date(2026, 9, 19, 18, 30).getTime()
+        ]);
+    });
+
+    test('skips a time earlier on the day the plan was made', () => {
+        const plan = createPlan({ createdAt: new Date(2026, 9, 5, 19, 0) });
+        const occurrences = Plans.getPlanOccurrences(plan, new Date(2026, 9, 1), new Date(2026, 9, 13));
+
+        assert.deepEqual(occurrences.map(date => date.getTime()), [new Date(2026, 9, 12, 18, 30).getTime()]);
+    });
+});
+
+describe('getOccurrenceState', () => {
+    const occurrence = new Date(2026, 9, 12, 18, 30);
+
+    test('is upcoming, then due for a day, then missed', () => {
+        assert.equal(Plans.getOccurrenceState(createPlan(), occurrence, [], occurrence.getTime() - 1), 'upcoming');
+        assert.equal(Plans.getOccurrenceState(createPlan(), occurrence, [], occurrence.getTime() + Plans.PLAN_GRACE_MS - 1), 'due');
+        assert.equal(Plans.getOccurrenceState(createPlan(), occurrence, [], occurrence.getTime() + Plans.PLAN_GRACE_MS), 'missed');
+    });
+
+    test('a matching load from a few hours early to a day late fulfils it', () => {
+        const now = occurrence.getTime() + 2 * Plans.PLAN_GRACE_MS;
+        const early = createLoad({ startTime: new Date(occurrence.getTime() - Plans.PLAN_EARLY_MS) });
+        const tooEarly = createLoad({ startTime: new Date(occurrence.getTime() - Plans.PLAN_EARLY_MS - 1) });
+
+        assert.equal(Plans.getOccurrenceState(createPlan(), occurrence, [early], now), 'fulfilled');
+        assert.equal(Plans.getOccurrenceState(createPlan(), occurrence, [tooEarly], now), 'missed');
+    });
+
+    test('cancelled loads, other profiles and other categories do not count', () => {
+        const now = occurrence.getTime() + 2 * Plans.PLAN_GRACE_MS;
+        const loads = [
+            createLoad({ startTime: occurrence, status: 'cancelled' }),
+            createLoad({ startTime: occurrence, ownerId: 'someone' }),
+            createLoad({ startTime: occurrence, category: 'darks' })
+        ];
+
+        assert.equal(Plans.getOccurrenceState(createPlan(), occurrence, loads, now), 'missed');
+    });
+
+    test('a load started from the plan counts whatever its category', () => {
+        const load = createLoad({ startTime: new Date(occurrence.getTime() + HOUR), category: 'darks', planId: 'plan-1' });
+        assert.equal(Plans.findPlanLoad(createPlan(), occurrence, [load]), load);
+    });
+});
+
+describe('stored plans', () => {
+    test('valid plans survive a save and load', () => {
+        const stored = JSON.parse(JSON.stringify(createPlan()));
+
+        assert.ok(Plans.isValidPlan(stored));
+        assert.deepEqual(Plans.revivePlanDates(stored), createPlan());
+    });
+
+    test('times and weekdays out of range are rejected', () => {
+        const stored = fields => JSON.parse(JSON.stringify(createPlan(fields)));
+
+        assert.ok(!Plans.isValidPlan(stored({ time: '24:00' })));
+        assert.ok(!Plans.isValidPlan(stored({ weekday: 7 })));
+        assert.ok(!Plans.isValidPlan(stored({ type: 'both' })));
+    });
+});
+
+describe('getPlanFieldsError', () => {
+    const fields = overrides => ({ type: 'washing', location: 'apj', category: 'whites', duration: 30, weekday: 1, time: '18:30', ...overrides });
+
+    test('accepts a plan with or without a name', () => {
+        assert.equal(Plans.getPlanFieldsError(fields()), null);
+        assert.equal(Plans.getPlanFieldsError(fields({ name: 'Sunday whites' })), null);
+    });
+
+    test('turns down what a stored plan would be rejected for', () => {
+        assert.ok(Plans.getPlanFieldsError(fields({ duration: NaN })));
+        assert.ok(Plans.getPlanFieldsError(fields({ weekday: 7 })));
+        assert.ok(Plans.getPlanFieldsError(fields({ time: '24:00' })));
+        assert.ok(Plans.getPlanFieldsError(fields({ type: 'both' })));
+    });
+});
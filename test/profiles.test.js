@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { installDom } from './helpers/dom.js';
+import { createApp, submitLoad } from './helpers/tracker.js';
+
+describe('profiles', () => {
+    let uninstallDom;
+    let tracker;
+    let view;
+
+    // Answers the PIN prompt the next action opens; null cancels it
+    const answerPin = pin => {
+        const dialog = document.getElementById('pin-dialog');
+        assert.ok(dialog.open, 'expected a PIN prompt');
+        if (pin === null) {
+            document.getElementById('pin-cancel-btn').click();
+            return;
+        }
+        document.getElementById('pin-input').value = pin;
+        document.getElementById('pin-form').requestSubmit();
+    };
+
+    const setPin = (pin, repeat = pin) => {
+        document.getElementById('new-pin-input').value = pin;
+        document.getElementById('repeat-pin-input').value = repeat;
+        document.getElementById('set-pin-form').requestSubmit();
+    };
+
+    const profile = name => tracker.profiles.find(item => item.name === name);
+
+    beforeEach(() => {
+        uninstallDom = installDom();
+        ({ tracker, view } = createApp());
+        tracker.addProfile('Asha', '1234');
+    });
+
+    afterEach(() => uninstallDom());
+
+    describe("other people's loads", () => {
+        let load;
+        let card;
+
+        beforeEach(async () => {
+            load = submitLoad(tracker);
+            assert.equal(load.ownerId, profile('Asha').id);
+            await view.switchProfile('default');
+            tracker.setActiveLoadScope('everyone');
+            card = view.findLoadElement('.load-item', load.id);
+        });
+
+        test('are shown without any actions', () => {
+            assert.ok(card);
+            const visible = [...card.querySelectorAll('.load-actions .btn')].filter(button => button.style.display !== 'none');
+            assert.deepEqual(visible, []);
+        });
+
+        test('cannot be changed by clicks, keys or the edit dialog', () => {
+            card.querySelector('.complete-btn').click();
+            card.querySelector('.cancel-btn').click();
+            card.dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+            card.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+            view.openEditDialog(load.id);
+
+            assert.equal(load.status, 'running');
+            assert.equal(document.getElementById('edit-load-dialog').open, false);
+        });
+
+        test('cannot be changed through the tracker or an alert action either', () => {
+            tracker.togglePauseLoad(load.id);
+            tracker.cancelLoad(load.id);
+            tracker.deleteLoad(load.id);
+            tracker.applyAlertAction({ action: 'collect', loadId: load.id });
+            assert.equal(load.status, 'running');
+
+            // The cycle still ends on its own, but the clothes are the owner's to collect
+            tracker.completeLoad(load.id);
+            tracker.collectLoad(load.id);
+            tracker.applyAlertAction({ action: 'snooze', loadId: load.id, until: Date.now() });
+            assert.equal(load.status, 'awaiting-pickup');
+            assert.equal(load.snoozedUntil, undefined);
+            assert.ok(tracker.loads.includes(load));
+        });
+
+        test('stay editable for their owner', async () => {
+            const switching = view.switchProfile(profile('Asha').id);
+            answerPin('1234');
+            await switching;
+
+            view.findLoadElement('.load-item', load.id).querySelector('.complete-btn').click();
+            assert.equal(load.status, 'awaiting-pickup');
+        });
+    });
+
+    describe('renaming and removing', () => {
+        test('a profile with a PIN is only renamed with that PIN', async () => {
+            const cancelled = view.renameProfile(profile('Asha').id, 'Mallory');
+            answerPin(null);
+            await cancelled;
+            assert.ok(profile('Asha'));
+
+            const renamed = view.renameProfile(profile('Asha').id, 'Asha K');
+            answerPin('0000');
+            assert.equal(document.getElementById('pin-error').textContent, 'Wrong PIN');
+            answerPin('1234');
+            await renamed;
+            assert.ok(profile('Asha K'));
+        });
+
+        test('a profile with a PIN is only removed with that PIN', async () => {
+            await view.switchProfile('default');
+
+            const cancelled = view.removeProfile(profile('Asha').id);
+            answerPin(null);
+            await cancelled;
+            assert.ok(profile('Asha'));
+
+            const removed = view.removeProfile(profile('Asha').id);
+            answerPin('1234');
+            await removed;
+            assert.equal(profile('Asha'), undefined);
+        });
+
+        test('profiles without a PIN need no prompt', async () => {
+            await view.renameProfile('default', 'Shared');
+            assert.equal(document.getElementById('pin-dialog').open, false);
+            assert.ok(profile('Shared'));
+        });
+    });
+
+    describe('setting a PIN', () => {
+        test('the default profile can be given a PIN', async () => {
+            await view.openSetPinDialog('default');
+            setPin('4321');
+
+            assert.equal(document.getElementById('set-pin-dialog').open, false);
+            assert.equal(tracker.profiles[0].pinHash, tracker.hashPin('default', '4321'));
+        });
+
+        test('new PINs must be valid and typed the same twice', async () => {
+            await view.openSetPinDialog('default');
+
+            setPin('12');
+            assert.equal(document.getElementById('set-pin-error').textContent, 'PINs are 4 to 8 digits');
+            setPin('123456', '123465');
+            assert.equal(document.getElementById('set-pin-error').textContent, 'The PINs do not match');
+            assert.equal(tracker.profiles[0].pinHash, null);
+        });
+
+        test('changing a PIN asks for the current one first', async () => {
+            const asha = profile('Asha');
+
+            const refused = view.openSetPinDialog(asha.id);
+            answerPin(null);
+            await refused;
+            assert.equal(document.getElementById('set-pin-dialog').open, false);
+
+            const opened = view.openSetPinDialog(asha.id);
+            answerPin('1234');
+            await opened;
+            setPin('98765');
+            assert.equal(asha.pinHash, tracker.hashPin(asha.id, '98765'));
+        });
+
+        test('an empty PIN removes it', async () => {
+            const asha = profile('Asha');
+
+            const opened = view.openSetPinDialog(asha.id);
+            answerPin('1234');
+            await opened;
+            setPin('');
+
+            assert.equal(asha.pinHash, null);
+            assert.equal(document.querySelector(`#profile-select option[value="${asha.id}"]`).textContent, 'Asha');
+        });
+    });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import * as Queue from '../js/queue.js';
+
+const MINUTE = 60 * 1000;
+const JOINED = new Date(2026, 9, 19, 12, 0, 0).getTime();
+
+function createEntry(id, fields = {}) {
+    return {
+        id: id,
+        location: 'apj',
+        machineType: 'washer',
+        name: id,
+        clientId: 'client-1',
+        status: 'waiting',
+        joinedAt: new Date(JOINED),
+        updatedAt: new Date(JOINED),
+        notifiedAt: null,
+        ...fields
+    };
+}
+
+const washer = (id, defaultDuration = 30) => ({ id, type: 'washer', defaultDuration });
+
+describe('queue lines', () => {
+    test('only waiting and called entries for the hostel count, oldest first', () => {
+        const queue = [
+            createEntry('late', { joinedAt: new Date(JOINED + MINUTE) }),
+            createEntry('early'),
+            createEntry('gone', { status: 'left' }),
+            createEntry('elsewhere', { location: 'kalam' }),
+            createEntry('called', { status: 'notified', joinedAt: new Date(JOINED + 2 * MINUTE) })
+        ];
+
+        assert.deepEqual(Queue.getActiveQueue(queue, 'apj').map(entry => entry.id), ['early', 'late', 'called']);
+    });
+
+    test('a line holds everyone after the same kind of machine, or any machine', () => {
+        const anyMachine = createEntry('any', { machineType: '' });
+        const queue = [createEntry('washer'), createEntry('dryer', { machineType: 'dryer' }), anyMachine];
+
+        assert.deepEqual(Queue.getQueueLine(queue, queue[0]).map(entry => entry.id), ['washer', 'any']);
+        assert.deepEqual(Queue.getQueueLine(queue, anyMachine).map(entry => entry.id), ['washer', 'dryer', 'any']);
+    });
+});
+
+describe('estimateQueueWait', () => {
+    test('the first in line waits for the machine that frees up first', () => {
+        const entry = createEntry('me');
+        const slots = [{ machine: washer('w1'), freeIn: 20 * MINUTE }, { machine: washer('w2'), freeIn: 5 * MINUTE }];
+
+        assert.equal(Queue.estimateQueueWait(entry, [entry], slots), 5 * MINUTE);
+    });
+
+    test('everyone ahead runs a standard cycle on the next free machine', () => {
+        const line = [createEntry('a'), createEntry('b'), createEntry('c')];
+        const slots = [{ machine: washer('w1', 30), freeIn: 0 }, { machine: washer('w2', 45), freeIn: 10 * MINUTE }];
+
+        // a takes w1 (free at 30), b takes w2 (free at 55), c gets w1 again
+        assert.equal(Queue.estimateQueueWait(line[2], line, slots), 30 * MINUTE);
+    });
+
+    test('does not change the slots it is given', () => {
+        const line = [createEntry('a'), createEntry('b')];
+        const slots = [{ machine: washer('w1'), freeIn: 0 }];
+
+        Queue.estimateQueueWait(line[1], line, slots);
+        assert.equal(slots[0].freeIn, 0);
+    });
+
+    test('a machine holding clothes nobody has collected comes after every running one', () => {
+        const line = [createEntry('a'), createEntry('b')];
+        const slots = [{ machine: washer('w1'), freeIn: null }, { machine: washer('w2', 30), freeIn: 10 * MINUTE }];
+
+        assert.equal(Queue.estimateQueueWait(line[0], line, slots), 10 * MINUTE);
+        // b gets w2 again after a's cycle rather than waiting on w1
+        assert.equal(Queue.estimateQueueWait(line[1], line, slots), 40 * MINUTE);
+    });
+
+    test('is null when the turn waits on clothes being collected', () => {
+        const entry = createEntry('me');
+        assert.equal(Queue.estimateQueueWait(entry, [entry], [{ machine: washer('w1'), freeIn: null }]), null);
+    });
+
+    test('is null with no working machine or when the entry is not in the line', () => {
+        const entry = createEntry('me');
+        assert.equal(Queue.estimateQueueWait(entry, [entry], []), null);
+        assert.equal(Queue.estimateQueueWait(entry, [createEntry('other')], [{ machine: washer('w1'), freeIn: 0 }]), null);
+    });
+});
+
+describe('stored entries', () => {
+    const stored = entry => JSON.parse(JSON.stringify(entry));
+
+    test('valid entries survive a save and load', () => {
+        const entry = createEntry('me', { status: 'notified', notifiedAt: new Date(JOINED + MINUTE) });
+
+        assert.ok(Queue.isValidQueueEntry(stored(entry)));
+        assert.deepEqual(Queue.reviveQueueEntry(stored(entry)), entry);
+    });
+
+    test('unknown machine types and called entries without a time are rejected', () => {
+        assert.ok(!Queue.isValidQueueEntry(stored(createEntry('me', { machineType: 'iron' }))));
+        assert.ok(!Queue.isValidQueueEntry(stored(createEntry('me', { status: 'notified' }))));
+        assert.ok(!Queue.isValidQueueEntry(null));
+    });
+});
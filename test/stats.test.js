@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { countLoadsByDay, countLoadsByWeek, countValues, getMostCommon, getWeekStart, isThisWeek, isToday, summarizeLoads } from '../js/stats.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// A Monday, in local time like the app itself
+const NOW = new Date(2026, 9, 19, 12, 0, 0).getTime();
+
+describe('isToday', () => {
+    test('covers the whole local calendar day', () => {
+        assert.ok(isToday(new Date(2026, 9, 19, 0, 0, 0, 0), NOW));
+        assert.ok(isToday(new Date(2026, 9, 19, 23, 59, 59, 999), NOW));
+    });
+
+    test('stops at midnight on either side', () => {
+        assert.ok(!isToday(new Date(2026, 9, 18, 23, 59, 59, 999), NOW));
+        assert.ok(!isToday(new Date(2026, 9, 20, 0, 0, 0, 0), NOW));
+    });
+});
+
+describe('isThisWeek', () => {
+    test('is a rolling seven days up to the exact moment', () => {
+        assert.ok(isThisWeek(new Date(NOW - 7 * DAY), NOW));
+        assert.ok(!isThisWeek(new Date(NOW - 7 * DAY - 1), NOW));
+    });
+
+    test('includes loads that start later, such as delayed ones', () => {
+        assert.ok(isThisWeek(new Date(NOW + DAY), NOW));
+    });
+});
+
+describe('getMostCommon', () => {
+    test('returns the most frequent value', () => {
+        assert.equal(getMostCommon(['darks', 'whites', 'darks']), 'darks');
+    });
+
+    test('breaks ties in favour of the value seen first', () => {
+        assert.equal(getMostCommon(['whites', 'darks', 'darks', 'whites']), 'whites');
+        assert.equal(getMostCommon(['darks', 'whites', 'whites', 'darks']), 'darks');
+    });
+
+    test('keeps first-seen order even for number-like values', () => {
+        assert.equal(getMostCommon(['10', '2', '2', '10']), '10');
+    });
+
+    test('returns null for no values', () => {
+        assert.equal(getMostCommon([]), null);
+    });
+});
+
+describe('countValues', () => {
+    test('counts each value, most frequent first', () => {
+        assert.deepEqual(countValues(['APJ', 'Tagore', 'APJ']), [['APJ', 2], ['Tagore', 1]]);
+    });
+
+    test('counts names that Object.prototype also has from zero', () => {
+        assert.deepEqual(countValues(['constructor', 'toString', 'constructor', '__proto__']),
+            [['constructor', 2], ['toString', 1], ['__proto__', 1]]);
+    });
+});
+
+describe('charts', () => {
+    test('weeks start on Monday', () => {
+        assert.equal(getWeekStart(new Date(2026, 9, 25, 18)).getTime(), new Date(2026, 9, 19).getTime());
+        assert.equal(getWeekStart(new Date(2026, 9, 19, 0, 0)).getTime(), new Date(2026, 9, 19).getTime());
+    });
+
+    test('loads are counted in their day and week', () => {
+        const loads = [
+            { startTime: new Date(2026, 9, 19, 8) },
+            { startTime: new Date(2026, 9, 18, 23) },
+            { startTime: new Date(2026, 9, 12, 9) },
+            { startTime: new Date(2026, 8, 1, 9) }
+        ];
+
+        assert.deepEqual(countLoadsByDay(loads, 2, NOW).map(bucket => bucket.value), [1, 1]);
+        assert.deepEqual(countLoadsByWeek(loads, 2, NOW).map(bucket => bucket.value), [2, 1]);
+    });
+});
+
+describe('summarizeLoads', () => {
+    test('averages completed loads and pickup waits in minutes', () => {
+        const loads = [
+            { status: 'completed', category: 'whites', duration: 30, startTime: new Date(NOW - DAY), endTime: new Date(NOW - DAY + 30 * MINUTE), collectedAt: new Date(NOW - DAY + 40 * MINUTE) },
+            { status: 'completed', category: 'darks', duration: 50, startTime: new Date(NOW - 10 * DAY), endTime: new Date(NOW - 10 * DAY), collectedAt: null },
+            { status: 'cancelled', category: 'darks', duration: 90, startTime: new Date(NOW), endTime: new Date(NOW) }
+        ];
+
+        assert.deepEqual(summarizeLoads(loads, NOW), {
+            total: 3,
+            averageDuration: 40,
+            averagePickupWait: 10,
+            thisWeek: 2,
+            mostCommonCategory: 'darks'
+        });
+    });
+
+    test('leaves averages empty when nothing counts towards them', () => {
+        const summary = summarizeLoads([], NOW);
+        assert.equal(summary.averageDuration, null);
+        assert.equal(summary.averagePickupWait, null);
+        assert.equal(summary.mostCommonCategory, null);
+    });
+});
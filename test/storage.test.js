@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { DEFAULT_CONFIG, DEFAULT_MACHINES, DEFAULT_PROFILE, DEFAULT_SETTINGS } from '../js/defaults.js';
+import { isValidLoadRecord } from '../js/load-state.js';
+import {
+    MAX_QUARANTINE_ENTRIES,
+    QUARANTINE_KEY,
+    SCHEMA_VERSION,
+    STORAGE_KEY,
+    StorageAdapter,
+    getSchemaVersion,
+    migrateData
+} from '../js/storage.js';
+import { MemoryStorage } from './helpers/memory-storage.js';
+
+const NOW = new Date(2026, 9, 19, 12, 0, 0).getTime();
+
+// What the first release saved: no schemaVersion, loads without notes or pause tracking
+const VERSION_1_BLOB = {
+    loads: [
+        { id: 'l1', type: 'washing', location: 'apj', category: 'whites', duration: 30, status: 'completed', startTime: '2024-01-01T10:00:00.000Z' },
+        { id: 'l2', type: 'drying', location: 'kalam', category: 'quilts', duration: 45, status: 'running', startTime: '2024-01-02T10:00:00.000Z' }
+    ]
+};
+
+describe('schema versions', () => {
+    test('unversioned blobs count as version 1 and exports carry N.0', () => {
+        assert.equal(getSchemaVersion(undefined), 1);
+        assert.equal(getSchemaVersion('garbage'), 1);
+        assert.equal(getSchemaVersion('7.0'), 7);
+    });
+
+    test('a version 1 blob is brought up to the current schema', () => {
+        const migrated = migrateData(VERSION_1_BLOB, 1);
+
+        assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+        assert.ok(migrated.loads.every(load => isValidLoadRecord(load)));
+        assert.ok(migrated.loads.every(load => load.notes === '' && load.pausedTime === 0 && load.ownerId === DEFAULT_PROFILE.id));
+        assert.deepEqual(migrated.machines.map(machine => machine.id), DEFAULT_MACHINES.map(machine => machine.id));
+        assert.deepEqual(migrated.settings, DEFAULT_SETTINGS);
+        assert.deepEqual(migrated.queue, []);
+        assert.deepEqual(migrated.subscriptions, []);
+        assert.deepEqual(migrated.plans, []);
+        assert.deepEqual(migrated.profiles, [DEFAULT_PROFILE]);
+    });
+
+    test('hostels and categories only old loads use are kept, archived', () => {
+        const migrated = migrateData(VERSION_1_BLOB, 1);
+
+        assert.deepEqual(migrated.config.hostels.at(-1), { id: 'kalam', name: 'Kalam', archived: true });
+        assert.deepEqual(migrated.config.categories.at(-1), { id: 'quilts', name: 'Quilts', archived: true });
+        assert.equal(migrated.config.presets.length, DEFAULT_CONFIG.presets.length);
+    });
+
+    test('migrations never touch the defaults they copy from', () => {
+        const before = JSON.stringify(DEFAULT_CONFIG);
+        migrateData(VERSION_1_BLOB, 1).config.hostels.push({ id: 'extra' });
+        assert.equal(JSON.stringify(DEFAULT_CONFIG), before);
+    });
+
+    test('data from a newer app is left at its own version', () => {
+        const migrated = migrateData({ loads: [], future: true }, SCHEMA_VERSION + 1);
+        assert.equal(migrated.schemaVersion, SCHEMA_VERSION + 1);
+        assert.equal(migrated.future, true);
+    });
+});
+
+describe('StorageAdapter', () => {
+    test('writes to local storage and reads it back', () => {
+        const storage = new StorageAdapter(new MemoryStorage(), new MemoryStorage());
+
+        assert.equal(storage.write('{"loads":[]}'), 'local');
+        assert.equal(storage.read(), '{"loads":[]}');
+    });
+
+    test('a session copy left by a full disk wins until local storage is written again', () => {
+        const local = new MemoryStorage({ [STORAGE_KEY]: 'old' });
+        const session = new MemoryStorage({ [STORAGE_KEY]: 'newer' });
+        const storage = new StorageAdapter(local, session);
+
+        assert.equal(storage.read(), 'newer');
+        storage.write('newest');
+        assert.equal(session.getItem(STORAGE_KEY), null);
+        assert.equal(storage.read(), 'newest');
+    });
+
+    test('a full local storage gives up the quarantine first', () => {
+        const local = new MemoryStorage({ [QUARANTINE_KEY]: 'x'.repeat(40) }, 50);
+        const storage = new StorageAdapter(local, new MemoryStorage());
+
+        assert.equal(storage.write('y'.repeat(30)), 'local');
+        assert.equal(local.getItem(QUARANTINE_KEY), null);
+    });
+
+    test('falls back to session storage when even that is not enough', t => {
+        t.mock.method(console, 'warn', () => {});
+        const local = new MemoryStorage({}, 10);
+        const session = new MemoryStorage();
+        const storage = new StorageAdapter(local, session);
+
+        assert.equal(storage.write('z'.repeat(30)), 'session');
+        assert.equal(session.getItem(STORAGE_KEY), 'z'.repeat(30));
+        assert.equal(storage.read(), 'z'.repeat(30));
+    });
+
+    test('throws when nothing can hold the data', t => {
+        t.mock.method(console, 'warn', () => {});
+        const storage = new StorageAdapter(new MemoryStorage({}, 10), new MemoryStorage({}, 10));
+        assert.throws(() => storage.write('z'.repeat(30)), { name: 'QuotaExceededError' });
+    });
+
+    test('other storage errors are not mistaken for a full disk', () => {
+        const local = new MemoryStorage();
+        local.setItem = () => {
+            throw new Error('SecurityError');
+        };
+        const session = new MemoryStorage();
+
+        assert.throws(() => new StorageAdapter(local, session).write('data'), /SecurityError/);
+        assert.equal(session.getItem(STORAGE_KEY), null);
+    });
+});
+
+describe('quarantine', () => {
+    test('rejected records are kept with the schema version and time', () => {
+        const local = new MemoryStorage();
+        const storage = new StorageAdapter(local, new MemoryStorage());
+
+        storage.quarantine([{ record: { id: 'bad' }, reason: 'Failed schema validation' }], NOW);
+        storage.quarantine([{ record: 'garbage', reason: 'Unreadable storage blob' }], NOW + 1000);
+
+        assert.deepEqual(JSON.parse(local.getItem(QUARANTINE_KEY)), [
+            { record: { id: 'bad' }, reason: 'Failed schema validation', schemaVersion: SCHEMA_VERSION, quarantinedAt: new Date(NOW).toISOString() },
+            { record: 'garbage', reason: 'Unreadable storage blob', schemaVersion: SCHEMA_VERSION, quarantinedAt: new Date(NOW + 1000).toISOString() }
+        ]);
+    });
+
+    test('only the newest entries are kept', () => {
+        const local = new MemoryStorage();
+        const storage = new StorageAdapter(local, new MemoryStorage());
+        const entries = Array.from({ length: MAX_QUARANTINE_ENTRIES + 5 }, (item, index) => ({ record: index, reason: 'test' }));
+
+        storage.quarantine(entries, NOW);
+
+        const quarantine = JSON.parse(local.getItem(QUARANTINE_KEY));
+        assert.equal(quarantine.length, MAX_QUARANTINE_ENTRIES);
+        assert.equal(quarantine[0].record, 5);
+    });
+
+    test('an unreadable quarantine does not throw', t => {
+        t.mock.method(console, 'error', () => {});
+        const local = new MemoryStorage({ [QUARANTINE_KEY]: '{not json' });
+        const storage = new StorageAdapter(local, new MemoryStorage());
+
+        assert.doesNotThrow(() => storage.quarantine([{ record: 1, reason: 'test' }], NOW));
+    });
+});
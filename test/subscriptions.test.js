@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+
+import { HttpMailer } from '../js/mailer.js';
+import { STORAGE_KEY } from '../js/storage.js';
+import { installDom } from './helpers/dom.js';
+import { MemoryStorage } from './helpers/memory-storage.js';
+import { createApp, createTracker, submitLoad } from './helpers/tracker.js';
+
+describe('email subscriptions', () => {
+    let uninstallDom;
+    let tracker;
+    let sent;
+
+    // Subscribes through the Notify Me dialog to every event at the given hostels
+    const subscribe = (email, hostels) => {
+        document.getElementById('notify-me-btn').click();
+        document.getElementById('subscribe-email').value = email;
+        document.querySelectorAll('#subscribe-hostels input').forEach(checkbox => {
+            checkbox.checked = hostels.includes(checkbox.value);
+        });
+        document.getElementById('subscribe-form').requestSubmit();
+    };
+
+    const subjects = () => sent.map(message => message.subject);
+
+    beforeEach(() => {
+        uninstallDom = installDom();
+        ({ tracker } = createApp());
+        sent = [];
+        tracker.mailer = { send: async message => sent.push(message) };
+    });
+
+    afterEach(() => uninstallDom());
+
+    test('subscribers are emailed when a machine at a hostel they follow is freed', () => {
+        subscribe('asha@aitpune.edu.in', ['apj']);
+        const load = submitLoad(tracker);
+        sent = [];
+
+        tracker.cancelLoad(load.id);
+
+        assert.deepEqual(subjects(), ['Washer 1 is free at APJ Hostel']);
+        assert.equal(sent[0].to, 'asha@aitpune.edu.in');
+    });
+
+    test('nothing more is sent after unsubscribing', () => {
+        subscribe('asha@aitpune.edu.in', ['apj']);
+        document.querySelector('.subscription-item .unsubscribe-btn').click();
+        assert.deepEqual(tracker.subscriptions, []);
+        assert.equal(subjects().at(-1), 'Unsubscribed from laundry tracker notifications');
+        sent = [];
+
+        tracker.cancelLoad(submitLoad(tracker).id);
+
+        assert.deepEqual(sent, []);
+    });
+
+    test('mail only goes through the sync server while sync is on', () => {
+        tracker.mailer = null;
+        tracker.settings.syncUrl = 'http://localhost:8787';
+        assert.equal(tracker.getMailer(), tracker.mockMailer);
+
+        tracker.settings.syncHostel = 'apj';
+        assert.ok(tracker.getMailer() instanceof HttpMailer);
+    });
+
+    test('saved subscriptions drop "a new hostel is added", which could never reach anyone else', () => {
+        const local = new MemoryStorage();
+        createTracker({ local }).saveSubscription('asha@aitpune.edu.in', ['apj'], ['machine-freed']);
+        const data = JSON.parse(local.getItem(STORAGE_KEY));
+        data.subscriptions[0].events.push('hostel-added');
+        data.subscriptions.push({ ...data.subscriptions[0], id: 'only-hostels', email: 'ravi@aitpune.edu.in', events: ['hostel-added'] });
+        local.setItem(STORAGE_KEY, JSON.stringify(data));
+
+        const reopened = createTracker({ local });
+
+        assert.deepEqual(reopened.subscriptions.map(item => [item.email, item.events]), [['asha@aitpune.edu.in', ['machine-freed']]]);
+        document.getElementById('notify-me-btn').click();
+        assert.deepEqual([...document.querySelectorAll('#subscribe-events input')].map(input => input.value), ['machine-freed', 'queue-turn']);
+    });
+});
@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import * as SyncMerge from '../js/sync-merge.js';
+
+const EARLIER = '2026-10-19T10:00:00.000Z';
+const LATER = '2026-10-19T11:00:00.000Z';
+
+function createRecord(fields = {}) {
+    return {
+        id: 'load-1',
+        clientId: 'other-device',
+        ownerName: 'Asha',
+        type: 'washing',
+        location: 'apj',
+        category: 'whites',
+        duration: 30,
+        status: 'running',
+        machineId: 'apj-w1',
+        startTime: EARLIER,
+        endTime: null,
+        pausedTime: 0,
+        pausedAt: null,
+        updatedAt: LATER,
+        ...fields
+    };
+}
+
+describe('isNewerRecord', () => {
+    test('the later update wins and records without one count as oldest', () => {
+        assert.ok(SyncMerge.isNewerRecord({ updatedAt: LATER }, { updatedAt: new Date(EARLIER) }));
+        assert.ok(!SyncMerge.isNewerRecord({ updatedAt: EARLIER }, { updatedAt: new Date(EARLIER) }));
+        assert.ok(SyncMerge.isNewerRecord({ updatedAt: EARLIER }, {}));
+    });
+});
+
+describe('mergeRemoteLoad', () => {
+    test('active loads from other devices are kept with real dates', () => {
+        const { remoteLoads, freedMachineId } = SyncMerge.mergeRemoteLoad([], createRecord());
+
+        assert.equal(remoteLoads.length, 1);
+        assert.ok(remoteLoads[0].startTime instanceof Date);
+        assert.equal(freedMachineId, null);
+    });
+
+    test('a finished, deleted or moved load frees its machine', () => {
+        const [running] = SyncMerge.mergeRemoteLoad([], createRecord()).remoteLoads;
+
+        assert.deepEqual(SyncMerge.mergeRemoteLoad([running], createRecord({ status: 'completed', endTime: LATER })),
+            { remoteLoads: [], freedMachineId: 'apj-w1', finishedLoad: null });
+        assert.deepEqual(SyncMerge.mergeRemoteLoad([running], { id: 'load-1', deleted: true }),
+            { remoteLoads: [], freedMachineId: 'apj-w1', finishedLoad: null });
+        assert.equal(SyncMerge.mergeRemoteLoad([running], createRecord({ machineId: 'apj-d1' })).freedMachineId, 'apj-w1');
+    });
+
+    test('a load whose cycle just ended keeps its machine and is reported as finished', () => {
+        const [running] = SyncMerge.mergeRemoteLoad([], createRecord()).remoteLoads;
+        const { remoteLoads, freedMachineId, finishedLoad } =
+            SyncMerge.mergeRemoteLoad([running], createRecord({ status: 'awaiting-pickup', endTime: LATER }));
+
+        assert.equal(freedMachineId, null);
+        assert.equal(finishedLoad, remoteLoads[0]);
+        assert.equal(SyncMerge.mergeRemoteLoad(remoteLoads, createRecord({ status: 'awaiting-pickup', endTime: LATER })).finishedLoad, null);
+    });
+
+    test('invalid records drop any copy held before', () => {
+        const [running] = SyncMerge.mergeRemoteLoad([], createRecord()).remoteLoads;
+        assert.equal(SyncMerge.mergeRemoteLoad([running], createRecord({ status: 'spinning' })).remoteLoads.length, 0);
+    });
+});
+
+describe('isStaleRemoteLoad', () => {
+    const HOUR = 60 * 60 * 1000;
+    const revive = fields => SyncMerge.mergeRemoteLoad([], createRecord(fields)).remoteLoads[0];
+
+    test('a running load goes stale once its finish and the grace period have passed', () => {
+        const finish = new Date(EARLIER).getTime() + 30 * 60 * 1000;
+        const load = revive({ updatedAt: EARLIER });
+
+        assert.ok(!SyncMerge.isStaleRemoteLoad(load, finish + SyncMerge.REMOTE_LOAD_GRACE_MS));
+        assert.ok(SyncMerge.isStaleRemoteLoad(load, finish + SyncMerge.REMOTE_LOAD_GRACE_MS + 1));
+    });
+
+    test('a later update from its device keeps it live for longer', () => {
+        const load = revive({ updatedAt: LATER });
+        assert.ok(!SyncMerge.isStaleRemoteLoad(load, new Date(LATER).getTime() + SyncMerge.REMOTE_LOAD_GRACE_MS));
+    });
+
+    test('a finished load counts from when it finished', () => {
+        const load = revive({ status: 'awaiting-pickup', endTime: LATER, updatedAt: LATER });
+        assert.ok(SyncMerge.isStaleRemoteLoad(load, new Date(LATER).getTime() + 3 * HOUR));
+    });
+});
+
+describe('mergeOwnRemoteLoad', () => {
+    const local = { id: 'load-1', notes: 'private', updatedAt: new Date(EARLIER) };
+
+    test('a newer server copy replaces ours but keeps our notes', () => {
+        const load = SyncMerge.mergeOwnRemoteLoad(local, createRecord({ status: 'paused', pausedAt: LATER }));
+
+        assert.equal(load.status, 'paused');
+        assert.equal(load.notes, 'private');
+        assert.ok(!('clientId' in load) && !('ownerName' in load));
+    });
+
+    test('older, deleted and unknown records are ignored', () => {
+        assert.equal(SyncMerge.mergeOwnRemoteLoad(local, createRecord({ updatedAt: EARLIER })), null);
+        assert.equal(SyncMerge.mergeOwnRemoteLoad(local, createRecord({ deleted: true })), null);
+        assert.equal(SyncMerge.mergeOwnRemoteLoad(undefined, createRecord()), null);
+    });
+});
+
+describe('mergeRemoteMachine', () => {
+    test('only a newer out-of-order flag is taken', () => {
+        const machine = { id: 'apj-w1', outOfOrder: false, updatedAt: new Date(EARLIER) };
+
+        assert.equal(SyncMerge.mergeRemoteMachine(machine, { id: 'apj-w1', outOfOrder: true, updatedAt: EARLIER }), false);
+        assert.equal(SyncMerge.mergeRemoteMachine(machine, { id: 'apj-w1', outOfOrder: 'yes', updatedAt: LATER }), false);
+        assert.equal(SyncMerge.mergeRemoteMachine(machine, { id: 'apj-w1', outOfOrder: true, updatedAt: LATER }), true);
+        assert.equal(machine.outOfOrder, true);
+        assert.equal(SyncMerge.mergeRemoteMachine(null, { id: 'gone', outOfOrder: true, updatedAt: LATER }), false);
+    });
+});
+
+describe('mergeRemoteQueueEntry', () => {
+    const record = fields => ({
+        id: 'entry-1',
+        location: 'apj',
+        machineType: 'washer',
+        name: 'Asha',
+        clientId: 'other-device',
+        status: 'waiting',
+        joinedAt: EARLIER,
+        updatedAt: LATER,
+        notifiedAt: null,
+        ...fields
+    });
+
+    test('new entries are added and ones just called up are flagged', () => {
+        const merged = SyncMerge.mergeRemoteQueueEntry([], record());
+        assert.equal(merged.queue.length, 1);
+        assert.equal(merged.notified, false);
+
+        const called = SyncMerge.mergeRemoteQueueEntry(merged.queue, record({ status: 'notified', notifiedAt: LATER, updatedAt: '2026-10-19T12:00:00.000Z' }));
+        assert.equal(called.queue.length, 1);
+        assert.equal(called.notified, true);
+        assert.equal(called.entry.status, 'notified');
+    });
+
+    test('older and invalid records change nothing', () => {
+        const queue = SyncMerge.mergeRemoteQueueEntry([], record()).queue;
+
+        assert.equal(SyncMerge.mergeRemoteQueueEntry(queue, record({ status: 'left', updatedAt: EARLIER })), null);
+        assert.equal(SyncMerge.mergeRemoteQueueEntry(queue, record({ machineType: 'iron' })), null);
+    });
+});
@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import syncServer from '../server/sync-server.js';
+
+const { MockMailer, RateLimiter, SyncStore, createServer } = syncServer;
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+const loadChange = (id, fields = {}) => ({
+    type: 'load',
+    record: { id, status: 'running', updatedAt: new Date(NOW).toISOString(), ...fields }
+});
+
+describe('SyncStore', () => {
+    test('ids that name Object.prototype members are ordinary records', () => {
+        const store = new SyncStore({}, () => NOW);
+        const ids = ['__proto__', 'constructor', 'toString', 'hasOwnProperty'];
+
+        const result = store.applyChanges('apj', ids.map(id => loadChange(id)));
+
+        assert.deepEqual(result.accepted, ids);
+        assert.deepEqual(store.changesSince('apj', 0).loads.map(record => record.id), ids);
+        assert.equal({}.status, undefined);
+    });
+
+    test('hostels named after Object.prototype members get their own buckets', () => {
+        const store = new SyncStore({}, () => NOW);
+
+        store.applyChanges('constructor', [loadChange('load-1')]);
+
+        assert.equal(store.changesSince('constructor', 0).loads.length, 1);
+        assert.equal(store.changesSince('apj', 0).loads.length, 0);
+    });
+
+    test('survives a save and load with the same records and cursor', () => {
+        const store = new SyncStore({}, () => NOW);
+        store.applyChanges('apj', [loadChange('__proto__'), loadChange('load-2')]);
+
+        const reloaded = new SyncStore(JSON.parse(JSON.stringify(store)), () => NOW);
+
+        assert.deepEqual(reloaded.changesSince('apj', 0), store.changesSince('apj', 0));
+        const stale = reloaded.applyChanges('apj', [loadChange('__proto__', { updatedAt: new Date(NOW - 1000).toISOString() })]);
+        assert.equal(stale.conflicts.length, 1);
+    });
+
+    test('the later update wins and a tie keeps the stored copy', () => {
+        const store = new SyncStore({}, () => NOW);
+        store.applyChanges('apj', [loadChange('load-1')]);
+
+        const tie = store.applyChanges('apj', [loadChange('load-1', { status: 'paused' })]);
+        assert.equal(tie.conflicts[0].record.status, 'running');
+
+        const newer = store.applyChanges('apj', [loadChange('load-1', { status: 'paused', updatedAt: new Date(NOW + 1).toISOString() })]);
+        assert.deepEqual(newer.accepted, ['load-1']);
+    });
+});
+
+describe('sync server over HTTP', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = createServer(new SyncStore({}, () => NOW), { mailer: { send: async () => {} } });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('accepts a __proto__ record instead of failing', async () => {
+        const post = await fetch(`${baseUrl}/api/hostels/constructor/changes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes: [loadChange('__proto__')] })
+        });
+        assert.equal(post.status, 200);
+        assert.deepEqual((await post.json()).accepted, ['__proto__']);
+
+        const get = await fetch(`${baseUrl}/api/hostels/constructor/changes?since=0`);
+        assert.deepEqual((await get.json()).loads.map(record => record.id), ['__proto__']);
+    });
+
+    test('a malformed escape in the path is a bad request', async () => {
+        const response = await fetch(`${baseUrl}/%E0%A4%A`);
+        assert.equal(response.status, 400);
+    });
+
+    test('serves the app but nothing outside it or hidden', async () => {
+        assert.equal((await fetch(`${baseUrl}/`)).status, 200);
+        assert.equal((await fetch(`${baseUrl}/js/app.js`)).status, 200);
+        assert.equal((await fetch(`${baseUrl}/%2e%2e/%2e%2e/etc/passwd`)).status, 404);
+        assert.equal((await fetch(`${baseUrl}/.git/config`)).status, 404);
+    });
+
+    test('serves none of the repo around the app', async () => {
+        for (const file of ['/server/sync-server.js', '/package.json', '/requests.jsonl', '/test/app.test.js', '/assets/README.md', '/js/../package.json']) {
+            assert.equal((await fetch(`${baseUrl}${file}`)).status, 404, file);
+        }
+    });
+});
+
+describe('mock mail listing', () => {
+    const message = { to: 'asha@aitpune.edu.in', subject: 'Washer 1 is free', text: 'Go now' };
+
+    const withServer = async (options, run) => {
+        const server = createServer(new SyncStore({}, () => NOW), { mailer: new MockMailer(), ...options });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            await run(`http://127.0.0.1:${server.address().port}`);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+
+    // As the app served by the server would post it; pass origin to post from somewhere else
+    const send = (baseUrl, origin = baseUrl) => fetch(`${baseUrl}/api/mail`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(origin ? { Origin: origin } : {}) },
+        body: JSON.stringify(message)
+    });
+
+    test('sent mail is not listed unless the server runs in dev mode', async t => {
+        t.mock.method(console, 'log', () => {});
+        await withServer({}, async baseUrl => {
+            assert.equal((await send(baseUrl)).status, 202);
+            assert.equal((await fetch(`${baseUrl}/api/mail`)).status, 404);
+        });
+    });
+
+    test('dev mode lists what the mock mailer sent', async t => {
+        t.mock.method(console, 'log', () => {});
+        await withServer({ listMail: true }, async baseUrl => {
+            await send(baseUrl);
+            const { messages } = await (await fetch(`${baseUrl}/api/mail`)).json();
+            assert.deepEqual(messages.map(sent => sent.to), [message.to]);
+        });
+    });
+
+    test('mail is only taken from the app the server serves', async () => {
+        const sent = [];
+        await withServer({ mailer: { send: async mail => sent.push(mail) } }, async baseUrl => {
+            const elsewhere = await send(baseUrl, 'https://example.com');
+            assert.equal(elsewhere.status, 403);
+            assert.equal(elsewhere.headers.get('access-control-allow-origin'), null);
+            assert.equal((await send(baseUrl, null)).status, 403);
+            assert.deepEqual(sent, []);
+
+            assert.equal((await send(baseUrl)).status, 202);
+            assert.equal(sent.length, 1);
+        });
+    });
+
+    test('mail is rate limited per client', async () => {
+        let now = NOW;
+        const mailLimiter = new RateLimiter(2, 60 * 1000, () => now);
+        await withServer({ mailer: { send: async () => {} }, mailLimiter }, async baseUrl => {
+            assert.equal((await send(baseUrl)).status, 202);
+            assert.equal((await send(baseUrl)).status, 202);
+
+            const limited = await send(baseUrl);
+            assert.equal(limited.status, 429);
+            assert.equal(limited.headers.get('retry-after'), '60');
+
+            now += 60 * 1000;
+            assert.equal((await send(baseUrl)).status, 202);
+        });
+    });
+});
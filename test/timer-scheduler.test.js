@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { TimerScheduler } from '../js/timer-scheduler.js';
+import { FakeClock } from './helpers/fake-clock.js';
+
+const MINUTE = 60 * 1000;
+const START = new Date(2026, 9, 19, 12, 0, 0, 250).getTime();
+
+// Finishes every load once its end time has passed, the way the app's tick handler does
+function createLoadRunner(clock, endTimes) {
+    const finished = [];
+    const ticks = [];
+    const scheduler = new TimerScheduler((ids, now) => {
+        ticks.push(now);
+        ids.filter(id => now >= endTimes[id]).forEach(id => {
+            scheduler.remove(id);
+            finished.push(id);
+        });
+    }, clock);
+
+    return { scheduler, finished, ticks };
+}
+
+describe('TimerScheduler', () => {
+    test('ticks on whole seconds', () => {
+        const clock = new FakeClock(START);
+        const { scheduler, ticks } = createLoadRunner(clock, { a: Infinity });
+
+        scheduler.add('a');
+        clock.advance(2500);
+
+        assert.deepEqual(ticks, [START + 750, START + 1750]);
+    });
+
+    test('a completion fires once', () => {
+        const clock = new FakeClock(START);
+        const { scheduler, finished } = createLoadRunner(clock, { a: START + 30 * MINUTE });
+
+        scheduler.add('a');
+        clock.advance(30 * MINUTE + 5000);
+        scheduler.flush();
+
+        assert.deepEqual(finished, ['a']);
+    });
+
+    test('catches up in one tick after a long sleep', () => {
+        const clock = new FakeClock(START);
+        const { scheduler, finished, ticks } = createLoadRunner(clock, { a: START + 30 * MINUTE, b: START + 90 * MINUTE });
+
+        scheduler.add('a');
+        scheduler.add('b');
+        clock.jump(2 * 60 * MINUTE);
+        clock.advance(0);
+
+        assert.equal(ticks.length, 1);
+        assert.deepEqual(finished, ['a', 'b']);
+    });
+
+    test('stops its loop once nothing is scheduled', () => {
+        const clock = new FakeClock(START);
+        const { scheduler } = createLoadRunner(clock, { a: START + 2000, b: Infinity });
+
+        scheduler.add('a');
+        scheduler.add('b');
+        clock.advance(3000);
+        assert.ok(scheduler.isRunning());
+
+        scheduler.remove('b');
+        assert.ok(!scheduler.isRunning());
+        assert.equal(clock.pending, 0);
+
+        clock.advance(MINUTE);
+        assert.equal(clock.pending, 0);
+    });
+
+    test('never starts a loop with nothing to tick', () => {
+        const clock = new FakeClock(START);
+        const { scheduler, ticks } = createLoadRunner(clock, {});
+
+        scheduler.ensureRunning();
+        scheduler.flush();
+
+        assert.equal(clock.pending, 0);
+        assert.deepEqual(ticks, []);
+    });
+
+    test('the delay stays within (0, 1000] ms after the clock jumps backwards', () => {
+        const delays = [];
+        const clock = new FakeClock(START);
+        const recordingClock = {
+            now: clock.now,
+            clearTimer: clock.clearTimer,
+            setTimer: (callback, delay) => {
+                delays.push(delay);
+                return clock.setTimer(callback, delay);
+            }
+        };
+        const scheduler = new TimerScheduler(() => {}, recordingClock);
+
+        scheduler.add('a');
+        [-START, -START - 1, -START - 999, -START - 1000, -START - 1250].forEach(offset => {
+            clock.time = START;
+            clock.jump(offset);
+            scheduler.flush();
+        });
+
+        assert.equal(delays.length, 6);
+        delays.forEach(delay => assert.ok(delay > 0 && delay <= 1000, `delay ${delay}`));
+        assert.deepEqual(delays.slice(1), [1000, 1, 999, 1000, 250]);
+    });
+});